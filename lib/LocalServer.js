@@ -18,18 +18,93 @@
 */
 
 const Q = require('q');
+const crypto = require('crypto');
+const http = require('http');
+const url = require('url');
 const io = require('socket.io');
 const portChecker = require('tcp-port-used');
 const { EventEmitter } = require('events');
 const localtunnel = require('localtunnel');
-const shell = require('shelljs');
-const { spawn } = require('child_process');
-const { logger, execPromise, utilities } = require('./utils');
+const { logger, utilities } = require('./utils');
 
 // how many ms without a pong packet to consider the connection closed
 const CONNECTION_HEARBEAT_PING_TIMEOUT = 60000;
 // how many ms before sending a new ping packet
 const CONNECTION_HEARBEAT_PING_INTERVAL = 25000;
+// the path the app posts its events to when it doesn't use socket.io
+const HTTP_EVENTS_PATH = '/paramedic/events';
+// how many ms without a post to consider an http connection closed, the app posts at least every second
+const HTTP_CONNECTION_TIMEOUT = 10000;
+const DEVICE_EVENTS = [
+    'deviceLog',
+    'disconnect',
+    'deviceInfo',
+    'jasmineStarted',
+    'specStarted',
+    'specDone',
+    'suiteStarted',
+    'suiteDone',
+    'jasmineDone'
+];
+
+// The events of a single device connected to the server, it stands in for the server in the runner of the device.
+// A device keeps its session when it reconnects or when the app is relaunched.
+class DeviceSession extends EventEmitter {
+    constructor (server, id) {
+        super();
+
+        this.server = server;
+        this.id = id;
+        this.connection = null;
+        this.deviceInfo = null;
+    }
+
+    // e.g. 'Android Pixel 3 9', the id until the device has sent its info
+    getName () {
+        const info = this.deviceInfo;
+        return info ? [info.platform, info.model, info.version].filter(part => part).join(' ') : this.id;
+    }
+
+    isDeviceConnected () {
+        return !!this.connection;
+    }
+
+    sendToDevice (event, data) {
+        if (!this.connection) {
+            throw new Error('Unable to send "' + event + '" to the device ' + this.getName() + ': it is not connected');
+        }
+
+        this.connection.emit(event, data);
+    }
+
+    getConnectionUrl (platformId) {
+        return this.server.getConnectionUrl(platformId);
+    }
+
+    // the server is cleaned up by the runner which has started it
+    cleanUp () {}
+}
+
+// The connection of an app which posts its events instead of using socket.io, it stands in for the socket.
+// The commands sent to the device are queued until the app polls for them with its next post.
+class HttpConnection {
+    constructor (id, address) {
+        this.id = id;
+        this.handshake = { address: address };
+        this.commands = [];
+        this.timer = null;
+    }
+
+    emit (event, data) {
+        this.commands.push({ event: event, data: data });
+    }
+
+    takeCommands () {
+        const commands = this.commands;
+        this.commands = [];
+        return commands;
+    }
+}
 
 class LocalServer extends EventEmitter {
     constructor (port, externalServerUrl) {
@@ -37,42 +112,19 @@ class LocalServer extends EventEmitter {
 
         this.port = port;
         this.externalServerUrl = externalServerUrl;
-        this.server = { alive: false };
+        // the app of this run presents it on connect (see medic.json), e.g. a stale app of a previous run doesn't have it
+        this.token = crypto.randomBytes(16).toString('hex');
+        this.receivedEvents = {};
+        this.devices = {};
+        this.rejectedAddresses = new Set();
     }
 
     cleanUp () {
-        logger.normal('local-server: killing local file transfer server if it\'s up...');
-        if (this.server.alive) {
-            this.server.alive = false;
-            this.server.process.kill('SIGKILL');
-        }
-    }
-
-    startFileTransferServer (tempPath) {
-        process.on('uncaughtException', () => {
-            if (this.exiting) return;
-            this.exiting = true;
-            this.cleanUp();
-        });
-
-        return Q().then(() => {
-            shell.pushd(tempPath);
-            logger.normal('local-server: cloning file transfer server');
-            return execPromise('git clone https://github.com/apache/cordova-labs --branch cordova-filetransfer');
-        }).then(() => {
-            shell.pushd('cordova-labs');
-            logger.normal('local-server: installing local file transfer server');
-            return execPromise('npm i');
-        }).then(() => {
-            logger.normal('local-server: starting local file transfer server');
-            this.server.process = spawn('node', [ 'server.js' ]);
-            this.server.alive = true;
-
-            logger.info('local-server: local file transfer server started');
-            shell.popd();
-            shell.popd();
-            return this.server;
+        this.getDeviceSessions().forEach((device) => {
+            if (device.connection instanceof HttpConnection) clearTimeout(device.connection.timer);
         });
+        // socket.io disconnects the app and closes the http server it is attached to, which frees the port
+        if (this.listener) this.listener.close();
     }
 
     createTunnel () {
@@ -99,35 +151,182 @@ class LocalServer extends EventEmitter {
         });
     }
 
+    // the app sends its events through socket.io or posts them to HTTP_EVENTS_PATH on the same port
     createSocketListener () {
-        const listener = io.listen(this.port, {
+        const httpServer = http.createServer((request, response) => this.handleHttpRequest(request, response));
+        const listener = this.listener = io(httpServer, {
             pingTimeout: CONNECTION_HEARBEAT_PING_TIMEOUT,
             pingInterval: CONNECTION_HEARBEAT_PING_INTERVAL
         });
+        httpServer.listen(this.port);
+
+        listener.use((socket, next) => {
+            if (socket.handshake.query.token === this.token) {
+                next();
+                return;
+            }
+
+            this.warnInvalidToken(socket.handshake.address);
+            next(new Error('Invalid paramedic token'));
+        });
 
         listener.on('connection', (socket) => {
-            logger.info('local-server: new socket connection');
-            this.connection = socket;
+            const device = this.getDeviceSession(socket.handshake.query.device || socket.id);
+            this.connect(device, socket, 'socket');
 
             // server methods
-            [
-                'deviceLog',
-                'disconnect',
-                'deviceInfo',
-                'jasmineStarted',
-                'specStarted',
-                'specDone',
-                'suiteStarted',
-                'suiteDone',
-                'jasmineDone'
-            ].forEach((route) => {
-                socket.on(route, (data) => {
-                    this.emit(route, data);
+            DEVICE_EVENTS.forEach((route) => {
+                socket.on(route, (data, event, ack) => {
+                    if (route === 'disconnect') {
+                        this.disconnect(device, socket, data);
+                        return;
+                    }
+
+                    // the app sends the events it has no acknowledgement for again once it has reconnected
+                    if (event instanceof Function) {
+                        ack = event;
+                        event = null;
+                    }
+                    this.receive(device, route, data, event);
+                    if (ack) ack();
                 });
             });
         });
     }
 
+    // The app posts { events: [{ route, data, event: { session, seq } }] } in order, the response acknowledges
+    // all of them and carries the commands for the device. The app posts as text/plain to avoid a CORS preflight.
+    handleHttpRequest (request, response) {
+        const requestUrl = new url.URL(request.url, 'http://localhost');
+        const query = {};
+        requestUrl.searchParams.forEach((value, name) => {
+            query[name] = value;
+        });
+        const respond = (status, body) => {
+            response.writeHead(status, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Content-Type': 'application/json'
+            });
+            response.end(body ? JSON.stringify(body) : '');
+        };
+
+        if (requestUrl.pathname !== HTTP_EVENTS_PATH) {
+            respond(404, { error: 'Not found' });
+            return;
+        }
+        if (request.method === 'OPTIONS') {
+            respond(204);
+            return;
+        }
+        if (request.method !== 'POST') {
+            respond(405, { error: 'The events should be posted' });
+            return;
+        }
+        if (query.token !== this.token) {
+            this.warnInvalidToken(request.socket.remoteAddress);
+            respond(403, { error: 'Invalid paramedic token' });
+            return;
+        }
+
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            let events;
+            try {
+                events = JSON.parse(body || '{}').events || [];
+            } catch (ex) {
+                respond(400, { error: 'Invalid events: ' + ex.message });
+                return;
+            }
+
+            respond(200, { commands: this.receiveHttpEvents(query, events, request.socket.remoteAddress) });
+        });
+    }
+
+    // a post with a connection id the device hasn't used yet is a new connection, e.g. the test page has been reloaded
+    receiveHttpEvents (query, events, address) {
+        const device = this.getDeviceSession(query.device || query.connection);
+        let connection = device.connection;
+
+        if (!(connection instanceof HttpConnection) || connection.id !== query.connection) {
+            connection = new HttpConnection(query.connection, address);
+            this.connect(device, connection, 'http');
+        }
+
+        clearTimeout(connection.timer);
+        connection.timer = setTimeout(() => this.disconnect(device, connection, 'http connection timeout'), HTTP_CONNECTION_TIMEOUT);
+
+        events.filter(event => event && DEVICE_EVENTS.indexOf(event.route) >= 0 && event.route !== 'disconnect')
+            .forEach(event => this.receive(device, event.route, event.data, event.event));
+
+        return connection.takeCommands();
+    }
+
+    warnInvalidToken (address) {
+        if (this.rejectedAddresses.has(address)) return;
+
+        this.rejectedAddresses.add(address);
+        logger.warn('local-server: rejecting a connection from ' + address + ' without the token of this run, is it an app of another run?');
+    }
+
+    connect (device, connection, transport) {
+        logger.info('local-server: new ' + transport + ' connection of device ' + device.getName());
+        if (device.connection instanceof HttpConnection) clearTimeout(device.connection.timer);
+        device.connection = connection;
+        this.emitDeviceEvent(device, 'connection', connection);
+    }
+
+    disconnect (device, connection, reason) {
+        if (connection === device.connection) {
+            device.connection = null;
+            this.emitDeviceEvent(device, 'disconnect', reason);
+        }
+    }
+
+    receive (device, route, data, event) {
+        if (route === 'deviceInfo') {
+            device.deviceInfo = data;
+        }
+        if (!event || !this.isReceivedAgain(event)) {
+            this.emitDeviceEvent(device, route, data);
+        }
+    }
+
+    // the device is identified by the id the app presents on connect: the platform, model and uuid it reports,
+    // or an id it keeps in its local storage, an app which presents none has a session per connection
+    getDeviceSession (id) {
+        if (!this.devices[id]) {
+            this.devices[id] = new DeviceSession(this, id);
+            this.emit('device', this.devices[id]);
+        }
+
+        return this.devices[id];
+    }
+
+    getDeviceSessions () {
+        return Object.keys(this.devices).map(id => this.devices[id]);
+    }
+
+    emitDeviceEvent (device, route, data) {
+        device.emit(route, data);
+        this.emit(route, data, device);
+    }
+
+    isReceivedAgain (event) {
+        const received = this.receivedEvents[event.session] = this.receivedEvents[event.session] || {};
+        if (received[event.seq]) {
+            logger.verbose('local-server: ignoring event #' + event.seq + ' of session ' + event.session + ', it has been received already');
+            return true;
+        }
+
+        received[event.seq] = true;
+        return false;
+    }
+
     // Connection address could be platform specific so we pass platform as param here
     getConnectionAddress (platformId) {
         if (this.externalServerUrl) return this.externalServerUrl;
@@ -147,7 +346,15 @@ class LocalServer extends EventEmitter {
     }
 
     isDeviceConnected () {
-        return !!this.connection;
+        return this.getDeviceSessions().some(device => device.isDeviceConnected());
+    }
+
+    sendToDevice (event, data) {
+        if (!this.isDeviceConnected()) {
+            throw new Error('Unable to send "' + event + '" to the device: no device is connected');
+        }
+
+        this.getDeviceSessions().filter(device => device.isDeviceConnected()).forEach(device => device.sendToDevice(event, data));
     }
 }
 
@@ -182,4 +389,7 @@ LocalServer.getAvailablePort = function (startPort, endPort) {
         });
 };
 
+LocalServer.DEVICE_EVENTS = DEVICE_EVENTS;
+LocalServer.HTTP_EVENTS_PATH = HTTP_EVENTS_PATH;
+
 module.exports = LocalServer;
@@ -20,12 +20,14 @@
 */
 
 const Q = require('q');
+const fs = require('fs');
 const tmp = require('tmp');
 const shell = require('shelljs');
 const path = require('path');
 const PluginsManager = require('./PluginsManager');
+const ProjectFingerprint = require('./ProjectFingerprint');
 const appPatcher = require('./appium/helpers/appPatcher');
-const { logger, exec, execPromise, utilities } = require('./utils');
+const { logger, execPromise, utilities } = require('./utils');
 
 class ParamedicApp {
     constructor (config, storedCWD, runner) {
@@ -33,6 +35,7 @@ class ParamedicApp {
         this.storedCWD = storedCWD;
         this.runner = runner;
         this.tempFolder = null;
+        this.fingerprint = null;
 
         this.platformId = this.config.getPlatformId();
         this.isAndroid = this.platformId === utilities.ANDROID;
@@ -42,26 +45,94 @@ class ParamedicApp {
     }
 
     createTempProject () {
+        if (this.config.getProjectDir()) {
+            return this.prepareReusedProject();
+        }
+
         this.tempFolder = tmp.dirSync();
         tmp.setGracefulCleanup();
         logger.info('cordova-paramedic: creating temp project at ' + this.tempFolder.name);
-        exec(this.config.getCli() + ' create ' + this.tempFolder.name + utilities.PARAMEDIC_COMMON_CLI_ARGS);
-        return this.tempFolder;
+        return execPromise(this.getCommandForCreating(this.tempFolder.name))
+            .then(() => {
+                // the watch mode reinstalls the changed plugins, so what has been installed is tracked
+                if (this.config.isWatch()) {
+                    this.fingerprint = new ProjectFingerprint(this.tempFolder.name);
+                    this.fingerprint.reset(null);
+                    this.fingerprint.save();
+                }
+                return this.tempFolder;
+            });
+    }
+
+    // the project is created again if there is none in --projectDir yet or it has been created with another CLI
+    prepareReusedProject () {
+        const projectDir = path.resolve(this.storedCWD, this.config.getProjectDir());
+        this.tempFolder = { name: projectDir };
+        this.fingerprint = new ProjectFingerprint(projectDir);
+
+        return execPromise(this.config.getCli() + ' --version' + utilities.PARAMEDIC_COMMON_CLI_ARGS)
+            .then((output) => {
+                const cliVersion = output.trim();
+                if (this.fingerprint.canReuse(cliVersion)) {
+                    logger.info('cordova-paramedic: reusing the project at ' + projectDir);
+                    return this.tempFolder;
+                }
+
+                if (this.fingerprint.exists()) {
+                    logger.info('cordova-paramedic: the project at ' + projectDir + ' has been created with another CLI, creating it again');
+                    shell.rm('-rf', projectDir);
+                } else if (fs.existsSync(projectDir) && fs.readdirSync(projectDir).length > 0) {
+                    throw new Error('The project folder ' + projectDir + ' is not empty and has not been created by paramedic');
+                }
+
+                logger.info('cordova-paramedic: creating the project at ' + projectDir);
+                shell.mkdir('-p', path.dirname(projectDir));
+                return execPromise(this.getCommandForCreating(projectDir))
+                    .then(() => {
+                        this.fingerprint.reset(cliVersion);
+                        this.fingerprint.save();
+                        return this.tempFolder;
+                    });
+            });
     }
 
-    prepareProjectToRunTests () {
-        this.installPlugins();
-        this.setUpStartPage();
-        return this.installPlatform()
-            .then(() => this.checkPlatformRequirements());
+    getCommandForCreating (projectPath) {
+        return this.config.getCli() + ' create ' + projectPath + utilities.PARAMEDIC_COMMON_CLI_ARGS;
     }
 
     installPlugins () {
         logger.info('cordova-paramedic: installing plugins');
+        const pluginsManager = this.createPluginsManager();
+
+        return pluginsManager.installPlugins(this.config.getPlugins())
+            .then(() => pluginsManager.installTestsForExistingPlugins())
+            .then(() => pluginsManager.installPlugins(this.getAdditionalPlugins()))
+            .then(() => {
+                if (this.fingerprint) {
+                    return pluginsManager.uninstallStalePlugins();
+                }
+            });
+    }
+
+    reinstallPlugins (plugins) {
+        logger.info('cordova-paramedic: installing plugins ' + plugins.join(', ') + ' again');
+        const pluginsManager = this.createPluginsManager();
+
+        return plugins.reduce((promise, plugin) => promise.then(() => pluginsManager.installSinglePlugin(plugin)), Q())
+            .then(() => pluginsManager.installTestsForExistingPlugins());
+    }
+
+    createPluginsManager () {
         const pluginsManager = new PluginsManager(this.tempFolder.name, this.storedCWD, this.config);
-        pluginsManager.installPlugins(this.config.getPlugins());
-        pluginsManager.installTestsForExistingPlugins();
+        pluginsManager.on('pluginInstalled', (data) => this.runner.emit('pluginInstalled', data));
+        if (this.fingerprint) {
+            pluginsManager.setFingerprint(this.fingerprint);
+        }
+        pluginsManager.setFixtures(this.runner.getFixtures());
+        return pluginsManager;
+    }
 
+    getAdditionalPlugins () {
         let additionalPlugins = ['cordova-plugin-test-framework', path.join(__dirname, '..', 'paramedic-plugin')];
 
         if (this.config.shouldUseSauce() && !this.config.getUseTunnel()) {
@@ -80,7 +151,7 @@ class ParamedicApp {
             additionalPlugins.push(path.join(__dirname, '..', 'ci-plugin'));
         }
 
-        pluginsManager.installPlugins(additionalPlugins);
+        return additionalPlugins;
     }
 
     setUpStartPage () {
@@ -89,10 +160,51 @@ class ParamedicApp {
     }
 
     installPlatform () {
+        if (!this.fingerprint) {
+            return this.addPlatform();
+        }
+
+        // the platform is patched depending on --ci and --shouldUseSauce
+        const platform = {
+            spec: this.config.getPlatform(),
+            ci: !!this.config.isCI(),
+            shouldUseSauce: !!this.config.shouldUseSauce()
+        };
+        const installedPlatform = this.fingerprint.getPlatform();
+        if (installedPlatform && fs.existsSync(path.join(this.tempFolder.name, 'platforms', this.platformId)) &&
+            ['spec', 'ci', 'shouldUseSauce'].every(key => installedPlatform[key] === platform[key])) {
+            logger.info('cordova-paramedic: platform ' + platform.spec + ' is up to date');
+            this.runner.browserPatched = installedPlatform.browserPatched;
+            return Q();
+        }
+
+        this.fingerprint.setPlatform(null);
+        this.fingerprint.save();
+
+        return Q()
+            .then(() => {
+                if (installedPlatform) {
+                    const installedPlatformId = installedPlatform.spec.split('@')[0];
+                    logger.info('cordova-paramedic: removing the previously added platform ' + installedPlatform.spec);
+                    return execPromise(this.config.getCli() + ' platform rm ' + installedPlatformId + utilities.PARAMEDIC_COMMON_CLI_ARGS)
+                        .fail(() => {
+                            logger.warn('cordova-paramedic: failed to remove platform ' + installedPlatform.spec + ', adding ' + platform.spec + ' anyway');
+                        });
+                }
+            })
+            .then(() => this.addPlatform())
+            .then(() => {
+                platform.browserPatched = this.runner.browserPatched;
+                this.fingerprint.setPlatform(platform);
+                this.fingerprint.save();
+            });
+    }
+
+    addPlatform () {
         const platform = this.config.getPlatform();
         logger.info('cordova-paramedic: adding platform ' + platform + ' (with: ' + utilities.PARAMEDIC_COMMON_CLI_ARGS + utilities.PARAMEDIC_PLATFORM_ADD_ARGS + ')');
 
-        return execPromise(this.config.getCli() + ' platform add ' + platform + utilities.PARAMEDIC_COMMON_CLI_ARGS + utilities.PARAMEDIC_PLATFORM_ADD_ARGS)
+        return execPromise(this.getCommandForAddingPlatform())
             .then(() => {
                 logger.info('cordova-paramedic: successfully finished adding platform ' + platform);
                 if (this.isAndroid && this.config.isCI()) {
@@ -130,11 +242,21 @@ class ParamedicApp {
         if (this.isBrowser) return Q();
 
         logger.normal('cordova-paramedic: checking the requirements for platform: ' + this.platformId);
-        return execPromise(this.config.getCli() + ' requirements ' + this.platformId + utilities.PARAMEDIC_COMMON_CLI_ARGS)
+        return execPromise(this.getCommandForCheckingRequirements())
             .then(() => {
                 logger.info('cordova-paramedic: successfully finished checking the requirements for platform: ' + this.platformId);
             });
     }
+
+    getCommandForAddingPlatform () {
+        return this.config.getCli() + ' platform add ' + this.config.getPlatform() + utilities.PARAMEDIC_COMMON_CLI_ARGS + utilities.PARAMEDIC_PLATFORM_ADD_ARGS;
+    }
+
+    getCommandForCheckingRequirements () {
+        if (this.isBrowser) return null;
+
+        return this.config.getCli() + ' requirements ' + this.platformId + utilities.PARAMEDIC_COMMON_CLI_ARGS;
+    }
 }
 
 module.exports = ParamedicApp;
@@ -17,23 +17,104 @@
     under the License.
 */
 
-const DEFAULT_START_PORT = 7008;
-const DEFAULT_END_PORT = 7208;
-const DEFAULT_TIMEOUT = 60 * 60 * 1000; // 60 minutes in msec - this will become a param
 const DEFAULT_SAUCE_DEVICE_NAME_ANDROID = 'Android GoogleAPI Emulator';
 const DEFAULT_SAUCE_PLATFORM_VERSION_ANDROID = '8.0';
 const DEFAULT_SAUCE_DEVICE_NAME_IOS = 'iPhone Simulator';
 const DEFAULT_SAUCE_PLATFORM_VERSION_IOS = '9.3';
-const DEFAULT_SAUCE_APPIUM_VERSION = '1.9.1';
-const DEFAULT_BUILD_NAME = 'Paramedic sauce test';
 const BROWSERIFY_ARG = '--browserify ';
-const DEFAULT_CLI = 'cordova'; // use globally installed cordova by default
 
-const { utilities } = require('./utils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger, utilities } = require('./utils');
+const ParamedicOptions = require('./ParamedicOptions');
+const {
+    DEFAULT_START_PORT,
+    DEFAULT_END_PORT,
+    DEFAULT_TIMEOUT,
+    DEFAULT_PHASE_TIMEOUTS,
+    SPEC_TIMEOUT_ACTIONS,
+    DEFAULT_SPEC_TIMEOUT_ACTION,
+    DEFAULT_RECONNECT_TIMEOUT,
+    RETRY_MODES,
+    DEFAULT_RETRY_MODE,
+    TRANSPORTS,
+    DEFAULT_TRANSPORT,
+    DEFAULT_SAUCE_APPIUM_VERSION,
+    DEFAULT_BUILD_NAME,
+    DEFAULT_CLI,
+    SHARD_FORMAT
+} = ParamedicOptions;
+
+// spec name patterns can be given once or multiple times
+function toSpecPatterns (patterns, option) {
+    return [].concat(patterns).map((pattern) => {
+        pattern = String(pattern);
+        const errors = ParamedicOptions.checkPattern(pattern, option);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+        return pattern;
+    });
+}
+
+function isObject (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveExtendedConfig (extendsPath, configPath) {
+    const resolvedPath = path.resolve(path.dirname(configPath), extendsPath);
+    if (!fs.existsSync(resolvedPath) && fs.existsSync(resolvedPath + '.config.json')) {
+        return resolvedPath + '.config.json';
+    }
+    return resolvedPath;
+}
+
+// nested objects like phaseTimeouts are merged too, the rest of the values are overridden
+function mergeConfigs (base, config) {
+    const merged = Object.assign({}, base);
+
+    Object.keys(config).forEach((key) => {
+        merged[key] = isObject(base[key]) && isObject(config[key])
+            ? Object.assign({}, base[key], config[key])
+            : config[key];
+    });
+
+    return merged;
+}
+
+function loadConfigFile (configPath, extendedBy) {
+    if (extendedBy.indexOf(configPath) >= 0) {
+        throw new Error('Circular "extends" in paramedic configuration: ' + extendedBy.concat(configPath).join(' -> '));
+    }
+    if (!fs.existsSync(configPath)) {
+        throw new Error('Paramedic configuration file does not exist: ' + configPath + (extendedBy.length > 0 ? ' (extended by ' + extendedBy[extendedBy.length - 1] + ')' : ''));
+    }
+
+    const json = Object.assign({}, require(configPath));
+    ParamedicOptions.validateConfig(json, configPath);
+
+    if (!json.extends) return json;
+
+    const base = loadConfigFile(resolveExtendedConfig(json.extends, configPath), extendedBy.concat(configPath));
+    delete json.extends;
+
+    return mergeConfigs(base, json);
+}
+
+function toCellName (values) {
+    return values.map(value => String(value).replace(/[^\w.@-]+/g, '-')).join('_');
+}
 
 class ParamedicConfig {
-    constructor (json) {
+    constructor (json, sources) {
         this._config = json;
+        // where the values come from: 'cli', 'env' or 'file', the rest are defaults
+        this._sources = sources || {};
+    }
+
+    getSource (key) {
+        return this._sources[key] || (this._config[key] === undefined ? 'default' : 'file');
     }
 
     getDefaultSauceDeviceName () {
@@ -72,6 +153,55 @@ class ParamedicConfig {
         this._config.outputDir = outputDir;
     }
 
+    getDevices () {
+        return this._config.devices || 1;
+    }
+
+    setDevices (devices) {
+        devices = Number(devices);
+        if (!Number.isInteger(devices) || devices < 1) {
+            throw new Error('The number of devices should be a positive integer');
+        }
+
+        this._config.devices = devices;
+    }
+
+    getMockDevice () {
+        return this._config.mockDevice;
+    }
+
+    setMockDevice (mockDevice) {
+        this._config.mockDevice = mockDevice;
+    }
+
+    getRecordEvents () {
+        return this._config.recordEvents;
+    }
+
+    setRecordEvents (recordEvents) {
+        this._config.recordEvents = recordEvents;
+    }
+
+    // the folder the test app is kept in to be reused, null if the app is created in a new temp folder each run
+    getProjectDir () {
+        if (this._config.projectDir) {
+            return this._config.projectDir;
+        }
+        return this._config.reuseProject ? path.join(os.tmpdir(), 'cordova-paramedic-' + this.getPlatformId()) : null;
+    }
+
+    setProjectDir (projectDir) {
+        this._config.projectDir = projectDir;
+    }
+
+    isWatch () {
+        return !!this._config.watch;
+    }
+
+    setWatch (watch) {
+        this._config.watch = watch;
+    }
+
     shouldCleanUpAfterRun () {
         return this._config.cleanUpAfterRun;
     }
@@ -85,7 +215,7 @@ class ParamedicConfig {
     }
 
     getAction () {
-        return this._config.action;
+        return this._config.action || ParamedicOptions.getOption('action').default;
     }
 
     setAction (action) {
@@ -235,7 +365,194 @@ class ParamedicConfig {
     }
 
     getTimeout () {
-        return DEFAULT_TIMEOUT;
+        return this._config.timeout || DEFAULT_TIMEOUT;
+    }
+
+    setTimeout (timeout) {
+        this._config.timeout = timeout;
+    }
+
+    getPhaseTimeout (phase) {
+        if (!DEFAULT_PHASE_TIMEOUTS.hasOwnProperty(phase)) {
+            throw new Error('Unknown phase: ' + phase + '. Known phases are: ' + Object.keys(DEFAULT_PHASE_TIMEOUTS).join(', '));
+        }
+
+        const phaseTimeouts = this._config.phaseTimeouts || {};
+        return phaseTimeouts[phase] || DEFAULT_PHASE_TIMEOUTS[phase];
+    }
+
+    setPhaseTimeout (phase, timeout) {
+        if (!DEFAULT_PHASE_TIMEOUTS.hasOwnProperty(phase)) {
+            throw new Error('Unknown phase: ' + phase + '. Known phases are: ' + Object.keys(DEFAULT_PHASE_TIMEOUTS).join(', '));
+        }
+
+        this._config.phaseTimeouts = this._config.phaseTimeouts || {};
+        this._config.phaseTimeouts[phase] = timeout;
+    }
+
+    // in seconds, the run is not limited by the device idle time if not set
+    getIdleTimeout () {
+        return this._config.idleTimeout;
+    }
+
+    setIdleTimeout (idleTimeout) {
+        this._config.idleTimeout = idleTimeout;
+    }
+
+    // in msec, 0 if a disconnection of the device fails the run right away
+    getReconnectTimeout () {
+        return this._config.reconnectTimeout === undefined ? DEFAULT_RECONNECT_TIMEOUT : this._config.reconnectTimeout;
+    }
+
+    setReconnectTimeout (reconnectTimeout) {
+        this._config.reconnectTimeout = reconnectTimeout;
+    }
+
+    // in msec, specs are not watched if not set
+    getSpecTimeout () {
+        return this._config.specTimeout;
+    }
+
+    setSpecTimeout (specTimeout) {
+        this._config.specTimeout = specTimeout;
+    }
+
+    getSpecTimeoutAction () {
+        return this._config.specTimeoutAction || DEFAULT_SPEC_TIMEOUT_ACTION;
+    }
+
+    setSpecTimeoutAction (specTimeoutAction) {
+        if (SPEC_TIMEOUT_ACTIONS.indexOf(specTimeoutAction) < 0) {
+            throw new Error('Unknown spec timeout action: ' + specTimeoutAction + '. Known actions are: ' + SPEC_TIMEOUT_ACTIONS.join(', '));
+        }
+
+        this._config.specTimeoutAction = specTimeoutAction;
+    }
+
+    getRetries () {
+        return this._config.retries || 0;
+    }
+
+    setRetries (retries) {
+        retries = Number(retries);
+        if (!Number.isInteger(retries) || retries < 0) {
+            throw new Error('The number of retries should be a non-negative integer');
+        }
+
+        this._config.retries = retries;
+    }
+
+    getRetryMode () {
+        return this._config.retryMode || DEFAULT_RETRY_MODE;
+    }
+
+    setRetryMode (retryMode) {
+        if (RETRY_MODES.indexOf(retryMode) < 0) {
+            throw new Error('Unknown retry mode: ' + retryMode + '. Known modes are: ' + RETRY_MODES.join(', '));
+        }
+
+        this._config.retryMode = retryMode;
+    }
+
+    getTransport () {
+        return this._config.transport || DEFAULT_TRANSPORT;
+    }
+
+    setTransport (transport) {
+        if (TRANSPORTS.indexOf(transport) < 0) {
+            throw new Error('Unknown transport: ' + transport + '. Known transports are: ' + TRANSPORTS.join(', '));
+        }
+
+        this._config.transport = transport;
+    }
+
+    isMatrix () {
+        return Array.isArray(this._config.matrix) && this._config.matrix.length > 0;
+    }
+
+    // every entry of the matrix is expanded into the combinations of its array values,
+    // an object in an array sets several keys at once (e.g. a Sauce Labs device with its version)
+    expandMatrix () {
+        const base = Object.assign({}, this._config);
+        delete base.matrix;
+        delete base.parallel;
+
+        const cells = [];
+        const nameCounts = {};
+        this._config.matrix.forEach((entry) => {
+            let combinations = [{ names: [], values: {} }];
+
+            Object.keys(entry).forEach((key) => {
+                const options = Array.isArray(entry[key]) && !ParamedicOptions.isListKey(key) ? entry[key] : [entry[key]];
+
+                combinations = [].concat.apply([], combinations.map(combination => options.map((option) => {
+                    const values = isObject(option) ? option : { [key]: option };
+                    return {
+                        // cells are named after their platform and the values which vary
+                        names: combination.names.concat(key === 'platform' || options.length > 1 ? Object.keys(values).map(name => values[name]) : []),
+                        values: Object.assign({}, combination.values, values)
+                    };
+                })));
+            });
+
+            combinations.forEach((combination) => {
+                const sources = Object.assign({}, this._sources);
+                Object.keys(combination.values).forEach(key => delete sources[key]);
+                const config = new ParamedicConfig(Object.assign({}, base, combination.values), sources);
+                let name = toCellName(combination.names) || String(config._config.platform);
+
+                if (!config._config.platform) {
+                    throw new Error('No platform is set for the matrix cell "' + name + '"');
+                }
+
+                nameCounts[name] = (nameCounts[name] || 0) + 1;
+                if (nameCounts[name] > 1) {
+                    name += '_' + nameCounts[name];
+                }
+
+                cells.push({ name: name, config: config });
+            });
+        });
+
+        return cells;
+    }
+
+    getParallel () {
+        return this._config.parallel || 1;
+    }
+
+    setParallel (parallel) {
+        parallel = Number(parallel);
+        if (!Number.isInteger(parallel) || parallel < 1) {
+            throw new Error('The number of parallel runs should be a positive integer');
+        }
+
+        this._config.parallel = parallel;
+    }
+
+    setPorts (startPort, endPort) {
+        this._config.startPort = startPort;
+        this._config.endPort = endPort;
+    }
+
+    toJSON () {
+        return Object.assign({}, this._config);
+    }
+
+    getSpecFilter () {
+        return this._config.filter ? [].concat(this._config.filter) : [];
+    }
+
+    setSpecFilter (filter) {
+        this._config.filter = toSpecPatterns(filter, '--filter');
+    }
+
+    getSpecExclude () {
+        return this._config.exclude ? [].concat(this._config.exclude) : [];
+    }
+
+    setSpecExclude (exclude) {
+        this._config.exclude = toSpecPatterns(exclude, '--exclude');
     }
 
     getLogMins () {
@@ -270,6 +587,34 @@ class ParamedicConfig {
         this._config.target = target;
     }
 
+    getShards () {
+        return this._config.shards || 1;
+    }
+
+    // the slice of the top level suites run by this CI job, null when all of them are run
+    getShard () {
+        const match = SHARD_FORMAT.exec(this._config.shard || '');
+        return match ? { index: Number(match[1]) - 1, count: Number(match[2]) } : null;
+    }
+
+    setShard (shard) {
+        const errors = ParamedicOptions.getOption('shard').check(shard, '--shard');
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+
+        this._config.shard = shard;
+    }
+
+    setShards (shards) {
+        shards = Number(shards);
+        if (!Number.isInteger(shards) || shards < 1) {
+            throw new Error('The number of shards should be a positive integer');
+        }
+
+        this._config.shards = shards;
+    }
+
     getFileTransferServer () {
         return this._config.fileTransferServer;
     }
@@ -290,40 +635,41 @@ class ParamedicConfig {
     }
 }
 
+/**
+ * Resolves the configuration from the command line arguments parsed by minimist, the environment
+ * variables and the configuration file given by --config or PARAMEDIC_CONFIG, in this order of precedence.
+ */
+ParamedicConfig.parse = function (argv, env) {
+    env = env || {};
+
+    const configPath = utilities.getConfigPath(argv.config || env.PARAMEDIC_CONFIG);
+    const fileConfig = configPath ? loadConfigFile(path.resolve(configPath), []) : {};
+    const resolved = ParamedicOptions.resolveOptions(argv, env, fileConfig);
+    resolved.warnings.forEach(warning => logger.warn('cordova-paramedic: ' + warning));
+
+    const config = new ParamedicConfig(resolved.config, resolved.sources);
+
+    // --justbuild and --browserify are shortcuts for the values of other options, an --action given as well is
+    // rejected by the runner unless it is build
+    if (resolved.config.justbuild && resolved.config.action === undefined) {
+        config.setAction('build');
+        config._sources.action = resolved.sources.justbuild;
+    }
+    if (resolved.config.browserify) {
+        delete resolved.config.browserify;
+        if (!config.isBrowserify()) config.setBrowserify(true);
+        config._sources.args = resolved.sources.browserify;
+    }
+
+    return config;
+};
+
 ParamedicConfig.parseFromArguments = function (argv) {
-    return new ParamedicConfig({
-        platform: argv.platform,
-        action: argv.justbuild || argv.justBuild ? 'build' : 'run',
-        args: (argv.browserify ? BROWSERIFY_ARG : ''),
-        plugins: Array.isArray(argv.plugin) ? argv.plugin : [argv.plugin],
-        useTunnel: !!argv.useTunnel,
-        verbose: !!argv.verbose,
-        startPort: argv.startport || argv.port,
-        endPort: argv.endport || argv.port,
-        externalServerUrl: argv.externalServerUrl,
-        outputDir: argv.outputDir ? argv.outputDir : null,
-        logMins: argv.logMins ? argv.logMins : null,
-        tccDb: argv.tccDbPath ? argv.tccDb : null,
-        cleanUpAfterRun: !!argv.cleanUpAfterRun,
-        shouldUseSauce: !!argv.shouldUseSauce || false,
-        buildName: argv.buildName,
-        sauceUser: argv.sauceUser,
-        sauceKey: argv.sauceKey,
-        sauceDeviceName: argv.sauceDeviceName && argv.sauceDeviceName.toString(),
-        saucePlatformVersion: argv.saucePlatformVersion && argv.saucePlatformVersion.toString(),
-        sauceAppiumVersion: argv.sauceAppiumVersion && argv.sauceAppiumVersion.toString(),
-        sauceTunnelId: argv.sauceTunnelId,
-        skipAppiumTests: argv.skipAppium,
-        skipMainTests: argv.skipMainTests,
-        ci: argv.ci,
-        target: argv.target,
-        fileTransferServer: argv.fileTransferServer,
-        cli: argv.cli
-    });
+    return ParamedicConfig.parse(argv, {});
 };
 
 ParamedicConfig.parseFromFile = function (paramedicConfigPath) {
-    return new ParamedicConfig(require(paramedicConfigPath));
+    return new ParamedicConfig(loadConfigFile(path.resolve(paramedicConfigPath), []));
 };
 
 module.exports = ParamedicConfig;
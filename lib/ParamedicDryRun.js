@@ -0,0 +1,173 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { PluginInfo } = require('cordova-common');
+const ParamedicApp = require('./ParamedicApp');
+const ParamedicConfig = require('./ParamedicConfig');
+const ParamedicFixtures = require('./ParamedicFixtures');
+const ParamedicOptions = require('./ParamedicOptions');
+const ParamedicRunner = require('./paramedic').ParamedicRunner;
+const ParamedicSauceLabs = require('./ParamedicSauceLabs');
+const PluginsManager = require('./PluginsManager');
+const { utilities } = require('./utils');
+
+const PROJECT_PLACEHOLDER = '<temp project>';
+const TARGET_PLACEHOLDER = '<chosen at run time>';
+// values which should not end up in a CI log
+const SECRET_KEYS = ['sauceKey'];
+
+/**
+ * Resolves what a run would do without doing it: the effective configuration with the source
+ * of every value and the commands which would be run, in order. Nothing is written to the disk.
+ */
+class ParamedicDryRun {
+    constructor (config, storedCWD) {
+        // the plan mirrors the changes the runner makes to the config, e.g. resolving the cli path
+        this.config = new ParamedicConfig(config.toJSON(), config._sources);
+        this.storedCWD = storedCWD || process.cwd();
+    }
+
+    getConfiguration () {
+        const json = this.config.toJSON();
+
+        return ParamedicOptions.OPTIONS.filter(option => option.key).map((option) => {
+            let value = json[option.key];
+            if (option.key === 'phaseTimeouts') {
+                value = Object.assign({}, ParamedicOptions.DEFAULT_PHASE_TIMEOUTS, value);
+            } else if (value === undefined) {
+                value = option.default;
+            }
+            if (value !== undefined && SECRET_KEYS.indexOf(option.key) >= 0) {
+                value = '********';
+            }
+
+            return { key: option.key, value: value, source: this.config.getSource(option.key) };
+        });
+    }
+
+    getCommands () {
+        const config = this.config;
+        const cli = config.getCli();
+        if (['cordova', 'phonegap'].indexOf(cli) < 0 && !path.isAbsolute(cli)) {
+            config.setCli(path.resolve(cli));
+        }
+
+        const app = new ParamedicApp(config, this.storedCWD, null);
+        const pluginsManager = new PluginsManager(PROJECT_PLACEHOLDER, this.storedCWD, config);
+        const fixtures = new ParamedicFixtures(config);
+        pluginsManager.setFixtures(fixtures);
+        const runner = new ParamedicRunner(config, this.storedCWD);
+        const plugins = config.getPlugins() || [];
+        const commands = [];
+        const add = (phase, command) => commands.push({ phase: phase, command: command });
+        const note = (phase, text) => commands.push({ phase: phase, note: text });
+
+        if (config.getProjectDir()) {
+            note('projectCreate', 'the project in ' + path.resolve(this.storedCWD, config.getProjectDir()) + ' is reused, only the plugins and the platform which have changed are installed again');
+        }
+        add('projectCreate', app.getCommandForCreating(config.getProjectDir() ? path.resolve(this.storedCWD, config.getProjectDir()) : PROJECT_PLACEHOLDER));
+
+        plugins.forEach(plugin => add('pluginInstall', pluginsManager.getCommandForInstalling(plugin)));
+        // the tests sub-plugins are discovered among the installed plugins, only the local ones can be known beforehand
+        plugins.forEach((plugin) => {
+            const resolved = pluginsManager.resolvePlugin(plugin);
+            if (!resolved.localPath || !fs.existsSync(path.join(resolved.localPath, 'plugin.xml'))) {
+                note('pluginInstall', 'the tests of ' + resolved.pluginPath + ' are added if it has a tests sub-plugin once it is fetched');
+                return;
+            }
+
+            const pluginInfo = new PluginInfo(resolved.localPath);
+            const testPlugin = pluginsManager.getTestPlugin(pluginInfo);
+            if (testPlugin) {
+                fixtures.getDefinitions(pluginInfo).filter(fixture => !fixture.builtIn).forEach((fixture) => {
+                    note('pluginInstall', 'the fixture server ' + fixture.name + ' of ' + pluginInfo.id + ' is started on a free port, its address is given in ' + fixture.variable);
+                });
+                add('pluginInstall', pluginsManager.getCommandForInstalling(testPlugin));
+            }
+        });
+        if (plugins.some(plugin => plugin.indexOf('cordova-plugin-file-transfer') >= 0) && !config.getFileTransferServer()) {
+            note('pluginInstall', 'the file transfer server of paramedic is started on a free port for the tests of cordova-plugin-file-transfer');
+        }
+        app.getAdditionalPlugins().forEach(plugin => add('pluginInstall', pluginsManager.getCommandForInstalling(plugin)));
+
+        add('platformAdd', app.getCommandForAddingPlatform());
+        if (app.getCommandForCheckingRequirements()) {
+            add('platformAdd', app.getCommandForCheckingRequirements());
+        }
+
+        if (config.shouldUseSauce()) {
+            add('build', new ParamedicSauceLabs(config, runner).getCommandForBuilding());
+            note('testExecution', 'the app is uploaded to Sauce Storage and the tests are run on ' + config.getSauceDeviceName() + ' ' + config.getSaucePlatformVersion());
+        } else {
+            if (config.getShards() > 1) {
+                note('build', 'the tests are split between ' + config.getShards() + ' devices, the app is built and launched on each of them one at a time');
+            }
+            if (config.getDevices() > 1) {
+                note('testExecution', 'the run waits for ' + config.getDevices() + ' devices to connect, each one reports its results in a deviceN folder of the output folder');
+            }
+            if (config.getMockDevice()) {
+                note('build', 'the app is not built, a mock device plays the scenario ' + path.resolve(this.storedCWD, config.getMockDevice()) + ' instead');
+            } else {
+                add('build', runner.buildCommandForStartingTests(runner.shouldChooseTarget() ? config.getTarget() || TARGET_PLACEHOLDER : null));
+            }
+        }
+
+        if (config.runAppiumTests() && config.getAction() !== 'build' &&
+            [utilities.ANDROID, utilities.IOS].indexOf(config.getPlatformId()) >= 0) {
+            note('testExecution', 'the Appium tests of the plugins are run ' + (config.shouldUseSauce() ? 'on Sauce Labs' : 'locally'));
+        }
+
+        if (config.getShard()) {
+            const shard = config.getShard();
+            note('testExecution', 'only the suites of shard ' + (shard.index + 1) + '/' + shard.count + ' are run, the others are reported as disabled');
+        }
+
+        if (config.getRecordEvents()) {
+            note('testExecution', 'the events of the device are recorded to ' + path.resolve(this.storedCWD, config.getRecordEvents()));
+        }
+
+        if (config.isWatch()) {
+            note('testExecution', 'the changed local plugins are installed again and the app is relaunched whenever their sources change');
+        }
+
+        return commands;
+    }
+
+    format () {
+        const configuration = this.getConfiguration().filter(entry => entry.value !== undefined);
+        const keyWidth = Math.max.apply(null, configuration.map(entry => entry.key.length));
+        const lines = ['Resolved configuration (value, source):'];
+
+        configuration.forEach((entry) => {
+            const value = typeof entry.value === 'object' ? JSON.stringify(entry.value) : String(entry.value);
+            lines.push('  ' + entry.key + ' '.repeat(keyWidth - entry.key.length) + '  ' + value + '  (' + entry.source + ')');
+        });
+
+        lines.push('', 'Commands that would be run:');
+        this.getCommands().forEach((step) => {
+            lines.push('  [' + step.phase + '] ' + (step.command ? '$ ' + step.command : '# ' + step.note));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = ParamedicDryRun;
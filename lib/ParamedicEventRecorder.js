@@ -0,0 +1,102 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const Server = require('./LocalServer');
+const { logger } = require('./utils');
+
+// the first line of a recording describes the run, the events of the device follow
+const RECORDING_STARTED = 'recordingStarted';
+// a new connection of the device, the socket itself is not recorded
+const CONNECTION = 'connection';
+
+// Writes every event the device sends to the server to a newline-delimited JSON file,
+// one { time, event, data } object per line, so that the run could be replayed later.
+class ParamedicEventRecorder {
+    constructor (file) {
+        this.file = file;
+        this.fd = null;
+    }
+
+    start (server, run) {
+        logger.info('cordova-paramedic: recording the events of the device to ' + this.file);
+
+        this.fd = fs.openSync(this.file, 'w');
+        this.write(RECORDING_STARTED, run);
+
+        server.on(CONNECTION, () => this.write(CONNECTION));
+        Server.DEVICE_EVENTS.forEach((route) => {
+            server.on(route, data => this.write(route, data));
+        });
+    }
+
+    write (event, data) {
+        if (this.fd === null) return;
+
+        const entry = { time: Date.now(), event: event };
+        if (data !== undefined) {
+            entry.data = data;
+        }
+        // written right away, the events are of most interest when the run crashes
+        fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    }
+
+    stop () {
+        if (this.fd === null) return;
+
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+// { platform, plugins, retries, events } of a file written by the recorder
+ParamedicEventRecorder.read = function (file) {
+    if (!file) {
+        throw new Error('No recording to replay, give the file written with --recordEvents');
+    }
+
+    let lines;
+    try {
+        lines = fs.readFileSync(file, 'utf-8').split('\n');
+    } catch (ex) {
+        throw new Error('Cannot read the recording ' + file + ': ' + ex.message);
+    }
+
+    const recording = { platform: null, plugins: [], retries: 0, events: [] };
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (ex) {
+            throw new Error('Invalid event at line ' + (index + 1) + ' of ' + file + ': ' + ex.message);
+        }
+
+        if (entry.event === RECORDING_STARTED) {
+            Object.assign(recording, entry.data);
+        } else {
+            recording.events.push(entry);
+        }
+    });
+
+    return recording;
+};
+
+module.exports = ParamedicEventRecorder;
@@ -0,0 +1,298 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const Q = require('q');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { logger } = require('./utils');
+const Server = require('./LocalServer');
+const ParamedicFileTransferServer = require('./ParamedicFileTransferServer');
+
+// the address of a fixture server is only known once it has started, e.g. not in a dry run
+const PORT_PLACEHOLDER = '<port chosen at run time>';
+const DEFAULT_READY_TIMEOUT = 30000;
+const READY_PROBE_INTERVAL = 250;
+const DEFAULT_PORT_ENV = 'PORT';
+const VARIABLE_FORMAT = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// the fixture servers paramedic provides itself, the plugins declare the other ones in their tests
+const BUILT_IN_FIXTURES = [{
+    plugin: 'cordova-plugin-file-transfer',
+    name: 'file-transfer',
+    variable: 'FILETRANSFER_SERVER_ADDRESS',
+    getAddress: config => config.getFileTransferServer(),
+    create: () => new ParamedicFileTransferServer()
+}];
+
+// the script fixtures which are running, killed if paramedic exits without stopping them
+const runningProcesses = [];
+let isKillingOnExit = false;
+
+function killOnExit (child) {
+    if (!isKillingOnExit) {
+        isKillingOnExit = true;
+        process.on('exit', () => {
+            runningProcesses.forEach(running => running.kill());
+        });
+    }
+    runningProcesses.push(child);
+}
+
+// the fixtures are declared under "paramedic" in the package.json of the tests or in their paramedic.json
+function readManifest (testsDir) {
+    const packageJson = path.join(testsDir, 'package.json');
+    const paramedicJson = path.join(testsDir, 'paramedic.json');
+    let manifestPath = null;
+    let fixtures = null;
+
+    try {
+        if (fs.existsSync(paramedicJson)) {
+            manifestPath = paramedicJson;
+            fixtures = JSON.parse(fs.readFileSync(paramedicJson, 'utf-8')).fixtures;
+        } else if (fs.existsSync(packageJson)) {
+            manifestPath = packageJson;
+            fixtures = (JSON.parse(fs.readFileSync(packageJson, 'utf-8')).paramedic || {}).fixtures;
+        }
+    } catch (ex) {
+        throw new Error('Cannot read the fixture servers from ' + manifestPath + ': ' + ex.message);
+    }
+
+    if (!fixtures) return [];
+    if (!Array.isArray(fixtures)) {
+        throw new Error('The fixture servers in ' + manifestPath + ' should be an array');
+    }
+
+    return fixtures.map(fixture => validateFixture(fixture, testsDir, manifestPath));
+}
+
+function validateFixture (fixture, testsDir, manifestPath) {
+    const invalid = message => new Error('Invalid fixture server in ' + manifestPath + ': ' + message);
+
+    if (!fixture || typeof fixture.script !== 'string') {
+        throw invalid('"script" should be the path of a Node script, relative to ' + testsDir);
+    }
+    if (typeof fixture.variable !== 'string' || !VARIABLE_FORMAT.test(fixture.variable)) {
+        throw invalid('"variable" should be the name of the plugin variable the address of the server is given in');
+    }
+    if (fixture.ready !== undefined && (typeof fixture.ready !== 'string' || fixture.ready.charAt(0) !== '/')) {
+        throw invalid('"ready" should be the path the server answers once it is ready, e.g. "/health"');
+    }
+    if (fixture.readyTimeout !== undefined && !(Number.isInteger(fixture.readyTimeout) && fixture.readyTimeout > 0)) {
+        throw invalid('"readyTimeout" should be a positive number of ms');
+    }
+    if (fixture.portEnv !== undefined && (typeof fixture.portEnv !== 'string' || !VARIABLE_FORMAT.test(fixture.portEnv))) {
+        throw invalid('"portEnv" should be the name of the environment variable the script reads its port from');
+    }
+
+    return {
+        name: fixture.name || fixture.variable,
+        variable: fixture.variable,
+        create: config => new ScriptFixture(fixture, testsDir, config.getPorts())
+    };
+}
+
+// resolves once the server answers the path with any status below 500, or accepts connections without a path
+function probe (port, readyPath) {
+    return Q.Promise((resolve) => {
+        if (!readyPath) {
+            const socket = net.connect(port, '127.0.0.1', () => {
+                socket.end();
+                resolve(true);
+            });
+            socket.on('error', () => resolve(false));
+            return;
+        }
+
+        http.get({ host: '127.0.0.1', port: port, path: readyPath }, (response) => {
+            response.resume();
+            resolve(response.statusCode < 500);
+        }).on('error', () => resolve(false));
+    });
+}
+
+/**
+ * A fixture server a plugin declares: a Node script started with the port to listen on in the environment
+ * variable "portEnv" (PORT by default), ready once the "ready" path answers or the port accepts connections.
+ */
+class ScriptFixture {
+    constructor (fixture, testsDir, ports) {
+        this.fixture = fixture;
+        this.testsDir = testsDir;
+        this.ports = ports;
+        this.port = null;
+        this.process = null;
+        this.starting = null;
+    }
+
+    start () {
+        if (this.starting) return this.starting;
+
+        const script = path.resolve(this.testsDir, this.fixture.script);
+        const timeout = this.fixture.readyTimeout || DEFAULT_READY_TIMEOUT;
+        const name = this.fixture.name || this.fixture.variable;
+
+        this.starting = Q().then(() => {
+            if (!fs.existsSync(script)) {
+                throw new Error('The script of the fixture server ' + name + ' does not exist: ' + script);
+            }
+            return Server.getAvailablePort(this.ports.start, this.ports.end);
+        }).then((port) => {
+            const env = Object.assign({}, process.env, { [this.fixture.portEnv || DEFAULT_PORT_ENV]: String(port) });
+
+            this.port = port;
+            // the node paramedic runs with, there may be none in the PATH
+            this.process = spawn(process.execPath, [script], { cwd: this.testsDir, env: env });
+            killOnExit(this.process);
+            logger.normal('cordova-paramedic: starting the fixture server ' + name + ' on port ' + port);
+
+            const log = data => String(data).split(/\r?\n/).filter(line => line).forEach((line) => {
+                logger.verbose('fixture ' + name + ': ' + line);
+            });
+            this.process.stdout.on('data', log);
+            this.process.stderr.on('data', log);
+
+            return this.waitUntilReady(name, timeout);
+        }).then(() => {
+            logger.info('cordova-paramedic: fixture server ' + name + ' is ready on port ' + this.port);
+            return this.port;
+        }, (error) => {
+            this.stop();
+            throw error;
+        });
+
+        return this.starting;
+    }
+
+    waitUntilReady (name, timeout) {
+        const child = this.process;
+        const startedAt = Date.now();
+
+        return Q.Promise((resolve, reject) => {
+            let error = null;
+            child.on('exit', (code) => {
+                error = error || new Error('The fixture server ' + name + ' has exited with code ' + code + ' before it was ready');
+            });
+            child.on('error', (spawnError) => {
+                error = error || new Error('The fixture server ' + name + ' cannot be started: ' + spawnError.message);
+            });
+
+            const check = () => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                if (Date.now() - startedAt > timeout) {
+                    reject(new Error('The fixture server ' + name + ' is not ready after ' + timeout + ' ms'));
+                    return;
+                }
+
+                probe(this.port, this.fixture.ready).then((isReady) => {
+                    if (isReady) {
+                        resolve();
+                    } else {
+                        setTimeout(check, READY_PROBE_INTERVAL);
+                    }
+                });
+            };
+
+            check();
+        });
+    }
+
+    stop () {
+        if (!this.process) return;
+
+        this.process.kill();
+        runningProcesses.splice(runningProcesses.indexOf(this.process), 1);
+        this.process = null;
+        this.starting = null;
+    }
+}
+
+/**
+ * The servers the tests of the plugins need, e.g. to upload files to. They are started when the tests are
+ * installed, which are given their addresses as plugin variables, and stopped at the end of the run.
+ * A plugin declares its fixture servers in the package.json of its tests:
+ *
+ *   "paramedic": {
+ *     "fixtures": [{
+ *       "name": "echo",                    // defaults to the variable
+ *       "script": "fixtures/echo.js",      // relative to the tests folder, run with node in it
+ *       "variable": "ECHO_SERVER_ADDRESS", // the plugin variable, e.g. http://10.0.2.2:7042
+ *       "portEnv": "PORT",                 // the environment variable the script reads its port from
+ *       "ready": "/health",                // answered once the server is ready, the port accepting connections is enough otherwise
+ *       "readyTimeout": 30000
+ *     }]
+ *   }
+ */
+class ParamedicFixtures {
+    constructor (config) {
+        this.config = config;
+        this.servers = {};
+    }
+
+    getDefinitions (plugin) {
+        const builtIn = BUILT_IN_FIXTURES.filter(fixture => plugin.id.indexOf(fixture.plugin) >= 0)
+            .map(fixture => Object.assign({ builtIn: true }, fixture));
+
+        return builtIn.concat(readManifest(path.join(plugin.dir, 'tests')));
+    }
+
+    start (plugins) {
+        return plugins.reduce((promise, plugin) => promise.then(() => {
+            return this.getDefinitions(plugin).reduce((started, fixture) => started.then(() => {
+                if (fixture.getAddress && fixture.getAddress(this.config)) return;
+
+                const key = plugin.id + '/' + fixture.name;
+                this.servers[key] = this.servers[key] || fixture.create(this.config);
+                return this.servers[key].start()
+                    .fail((error) => {
+                        delete this.servers[key];
+                        throw error;
+                    });
+            }), Q());
+        }), Q());
+    }
+
+    // the install args of the tests of the plugin, e.g. ' --variable FILETRANSFER_SERVER_ADDRESS=http://10.0.2.2:41234'
+    getVariableArgs (plugin) {
+        // the devices reach the fixture servers at the address they reach paramedic at
+        const address = new Server(0, this.config.getExternalServerUrl()).getConnectionAddress(this.config.getPlatformId());
+
+        return this.getDefinitions(plugin).map((fixture) => {
+            const server = this.servers[plugin.id + '/' + fixture.name];
+            const value = (fixture.getAddress && fixture.getAddress(this.config)) ||
+                address + ':' + (server && server.port ? server.port : PORT_PLACEHOLDER);
+
+            return ' --variable ' + fixture.variable + '=' + value;
+        }).join('');
+    }
+
+    stop () {
+        Object.keys(this.servers).forEach((key) => {
+            this.servers[key].stop();
+        });
+        this.servers = {};
+    }
+}
+
+module.exports = ParamedicFixtures;
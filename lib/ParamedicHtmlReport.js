@@ -0,0 +1,193 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const shell = require('shelljs');
+const { logger } = require('./utils');
+
+const HTML_REPORT_FILE_NAME = 'paramedic-report.html';
+
+const STATUS_SYMBOLS = {
+    passed: '&#10003;',
+    failed: '&#10007;',
+    pending: '&#8226;',
+    disabled: '&#8226;'
+};
+
+const STYLE = [
+    'body { font-family: sans-serif; margin: 2em; }',
+    'ul { list-style: none; padding-left: 1.5em; }',
+    'pre { background: #f5f5f5; padding: 0.5em; overflow-x: auto; white-space: pre-wrap; }',
+    'summary { cursor: pointer; }',
+    '.passed { color: #2e7d32; }',
+    '.failed { color: #c62828; }',
+    '.pending, .disabled { color: #9e9e9e; }',
+    '.flaky { color: #ef6c00; }',
+    '.log-warn { color: #ef6c00; }',
+    '.log-error { color: #c62828; }',
+    '.log-debug { color: #757575; }',
+    'img { max-width: 320px; border: 1px solid #ccc; }',
+    'figure { display: inline-block; }',
+    'table { border-collapse: collapse; }',
+    'th, td { border: 1px solid #ccc; padding: 0.25em 0.75em; text-align: left; }'
+].join('\n');
+
+function escapeHtml (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Self-contained HTML report of a test run: results, device console output, platform logs and screenshots
+class ParamedicHtmlReport {
+    constructor (data) {
+        this.platform = data.platform;
+        this.target = data.target;
+        this.results = data.results;
+        this.logFiles = data.logFiles || [];
+        this.screenshots = data.screenshots || [];
+    }
+
+    renderLogs (logs) {
+        return '<pre>' + logs.map((entry) => {
+            const time = new Date(entry.timestamp).toISOString();
+            return '<span class="log-' + escapeHtml(entry.level) + '">[' + time + '] ' + escapeHtml(entry.type) + ': ' + escapeHtml(entry.message) + '</span>';
+        }).join('\n') + '</pre>';
+    }
+
+    renderSpec (spec) {
+        let html = '<li class="' + escapeHtml(spec.status) + '">' + (STATUS_SYMBOLS[spec.status] || '') + ' ' + escapeHtml(spec.description);
+
+        if (spec.duration !== null) {
+            html += ' <small>(' + spec.duration + ' ms)</small>';
+        }
+        if (spec.flaky) {
+            html += ' <span class="flaky">flaky, passed on attempt ' + spec.attempts + '</span>';
+        } else if (spec.attempts) {
+            html += ' <small>(failed ' + spec.attempts + ' attempts)</small>';
+        }
+
+        html += this.renderFailedExpectations(spec.failedExpectations);
+        (spec.previousAttempts || []).forEach((attempt, index) => {
+            html += '<details><summary class="flaky">Attempt ' + (index + 1) + ': ' + escapeHtml(attempt.status) + '</summary>' +
+                this.renderFailedExpectations(attempt.failedExpectations) + '</details>';
+        });
+
+        if (spec.logs.length > 0) {
+            html += '<details><summary>Console output (' + spec.logs.length + ')</summary>' + this.renderLogs(spec.logs) + '</details>';
+        }
+
+        return html + '</li>';
+    }
+
+    renderFailedExpectations (failedExpectations) {
+        return failedExpectations.map((expectation) => {
+            return '<details><summary>' + escapeHtml(expectation.message) + '</summary><pre>' + escapeHtml(expectation.stack || '') + '</pre></details>';
+        }).join('');
+    }
+
+    renderSuite (suite) {
+        const isFailed = this.hasFailures(suite);
+
+        return '<li><details' + (isFailed ? ' open' : '') + '><summary class="' + (isFailed ? 'failed' : 'passed') + '">' + escapeHtml(suite.description) + '</summary>' +
+            '<ul>' + suite.specs.map(spec => this.renderSpec(spec)).join('') + suite.suites.map(child => this.renderSuite(child)).join('') + '</ul>' +
+            '</details></li>';
+    }
+
+    hasFailures (suite) {
+        return suite.specs.some(spec => spec.status === 'failed') || suite.suites.some(child => this.hasFailures(child));
+    }
+
+    renderSummary () {
+        const summary = this.results.summary;
+        const cordova = this.results.cordova || {};
+
+        let html = '<ul>';
+        html += '<li>Platform: ' + escapeHtml(this.platform) + (cordova.version ? ' ' + escapeHtml(cordova.version) : '') + '</li>';
+        if (this.target) {
+            html += '<li>Target: ' + escapeHtml(this.target.target) + '</li>';
+        }
+        if (this.results.startedAt && this.results.finishedAt) {
+            html += '<li>Duration: ' + (this.results.finishedAt - this.results.startedAt) + ' ms</li>';
+        }
+        html += '<li>Specs: ' + summary.total + ', <span class="passed">passed: ' + summary.passed + '</span>, <span class="failed">failed: ' + summary.failed + '</span>, <span class="pending">pending: ' + summary.pending + '</span>' +
+            (summary.flaky ? ', <span class="flaky">flaky: ' + summary.flaky + '</span>' : '') + '</li>';
+
+        return html + '</ul>';
+    }
+
+    renderLogFiles () {
+        return this.logFiles.map((logFile) => {
+            let content;
+            try {
+                content = fs.readFileSync(logFile, 'utf-8');
+            } catch (ex) {
+                content = 'Unable to read the log file: ' + ex;
+            }
+            return '<details><summary>' + escapeHtml(path.basename(logFile)) + '</summary><pre>' + escapeHtml(content) + '</pre></details>';
+        }).join('');
+    }
+
+    renderScreenshots () {
+        return this.screenshots.map((screenshot) => {
+            const image = fs.readFileSync(screenshot).toString('base64');
+            return '<figure><img src="data:image/png;base64,' + image + '"><figcaption>' + escapeHtml(path.basename(screenshot)) + '</figcaption></figure>';
+        }).join('');
+    }
+
+    render () {
+        let html = '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Paramedic test report</title><style>' + STYLE + '</style></head><body>';
+        html += '<h1>Paramedic test report</h1>' + this.renderSummary();
+        html += '<h2>Specs</h2><ul>' + this.results.suites.map(suite => this.renderSuite(suite)).join('') + '</ul>';
+
+        if (this.results.logs.length > 0) {
+            html += '<h2>Console output outside of specs</h2>' + this.renderLogs(this.results.logs);
+        }
+        if (this.logFiles.length > 0) {
+            html += '<h2>Platform logs</h2>' + this.renderLogFiles();
+        }
+        if (this.screenshots.length > 0) {
+            html += '<h2>Screenshots</h2>' + this.renderScreenshots();
+        }
+
+        return html + '</body></html>\n';
+    }
+
+    write (outputDir) {
+        const reportFile = path.join(outputDir, HTML_REPORT_FILE_NAME);
+
+        try {
+            shell.mkdir('-p', outputDir);
+            fs.writeFileSync(reportFile, this.render());
+            logger.info('cordova-paramedic: HTML report is written to: ' + reportFile);
+            return reportFile;
+        } catch (ex) {
+            logger.error('cordova-paramedic: cannot write the HTML report. ' + ex);
+        }
+    }
+}
+
+ParamedicHtmlReport.HTML_REPORT_FILE_NAME = HTML_REPORT_FILE_NAME;
+ParamedicHtmlReport.STYLE = STYLE;
+ParamedicHtmlReport.escapeHtml = escapeHtml;
+
+module.exports = ParamedicHtmlReport;
@@ -25,11 +25,12 @@ const path = require('path-extra');
 const { logger, exec, utilities } = require('./utils');
 
 class ParamedicLogCollector {
-    constructor (platform, appPath, outputDir, targetObj) {
+    constructor (platform, appPath, outputDir, targetObj, logFileSuffix) {
         this.platform = platform;
         this.appPath = appPath;
         this.outputDir = outputDir;
         this.targetObj = targetObj;
+        this.logFileSuffix = logFileSuffix;
     }
 
     logIOS () {
@@ -44,7 +45,7 @@ class ParamedicLogCollector {
             // Now we can print out the log file
             const logPath = path.join(path.homedir(), 'Library', 'Logs', 'CoreSimulator', simId, 'system.log');
             const logCommand = 'cat ' + logPath;
-            this.generateLogs(logCommand);
+            return this.generateLogs(logCommand);
         } else {
             logger.error('Failed to find the ID of the simulator');
         }
@@ -61,7 +62,7 @@ class ParamedicLogCollector {
             }
 
             const logCommand = logScriptPath + ' --dump --mins ' + mins;
-            this.generateLogs(logCommand);
+            return this.generateLogs(logCommand);
         }
     }
 
@@ -71,15 +72,9 @@ class ParamedicLogCollector {
             return;
         }
 
+        // several devices may be attached when the tests are sharded, the logs are taken from the target only
         const logCommand = 'adb -s ' + this.targetObj.target + ' logcat -d -v time';
-        const numDevices = utilities.countAndroidDevices();
-
-        if (numDevices !== 1) {
-            logger.error('There must be exactly one emulator/device attached');
-            return;
-        }
-
-        this.generateLogs(logCommand);
+        return this.generateLogs(logCommand);
     }
 
     generateLogs (logCommand) {
@@ -97,13 +92,15 @@ class ParamedicLogCollector {
         try {
             fs.writeFileSync(logFile, result.output);
             logger.info('Logfiles are written to: ' + logFile);
+            return logFile;
         } catch (ex) {
             logger.error('Cannot write the log results to the file. ' + ex);
         }
     }
 
     getLogFileName () {
-        return path.join(this.outputDir, this.platform + '_logs.txt');
+        const suffix = this.logFileSuffix ? '_' + this.logFileSuffix : '';
+        return path.join(this.outputDir, this.platform + suffix + '_logs.txt');
     }
 
     collectLogs (logMins) {
@@ -112,16 +109,13 @@ class ParamedicLogCollector {
 
         switch (this.platform) {
         case utilities.ANDROID:
-            this.logAndroid();
-            break;
+            return this.logAndroid();
 
         case utilities.IOS:
-            this.logIOS(this.appPath);
-            break;
+            return this.logIOS(this.appPath);
 
         case utilities.WINDOWS:
-            this.logWindows(this.appPath, logMins);
-            break;
+            return this.logWindows(this.appPath, logMins);
 
         default:
             logger.info('Logging is unsupported for ' + this.platform + ', skipping...');
@@ -0,0 +1,242 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Q = require('q');
+const shell = require('shelljs');
+const tmp = require('tmp');
+const { spawn } = require('child_process');
+const { logger } = require('./utils');
+const ParamedicHtmlReport = require('./ParamedicHtmlReport');
+const { JSON_RESULTS_FILE_NAME } = require('./Reporters');
+
+const MAIN_SCRIPT = path.join(__dirname, '..', 'main.js');
+const CELL_CONFIG_FILE_NAME = 'paramedic-config.json';
+const MATRIX_RESULTS_FILE_NAME = 'paramedic-matrix.json';
+const MATRIX_REPORT_FILE_NAME = 'paramedic-matrix.html';
+
+/**
+ * Runs every cell of a matrix config as a separate paramedic process,
+ * so that the cells running in parallel don't share the working directory.
+ * The results of a cell are written to a sub folder of the output directory named after the cell.
+ */
+class ParamedicMatrix {
+    constructor (config) {
+        this.config = config;
+        this.cells = config.expandMatrix();
+        this.outputDir = config.getOutputDir() || tmp.dirSync().name;
+        this.slotCount = 1;
+    }
+
+    run () {
+        const startedAt = Date.now();
+        const results = [];
+        let nextCell = 0;
+
+        this.slotCount = this.getSlotCount();
+        logger.info('cordova-paramedic: running ' + this.cells.length + ' matrix cells, ' + this.slotCount + ' at a time: ' + this.cells.map(cell => cell.name).join(', '));
+
+        const runNextCell = (slot) => {
+            if (nextCell >= this.cells.length) return Q();
+
+            const index = nextCell++;
+            return this.runCell(this.cells[index], slot)
+                .then((result) => {
+                    results[index] = result;
+                    return runNextCell(slot);
+                });
+        };
+
+        const runs = [];
+        for (let slot = 0; slot < this.slotCount; slot++) {
+            runs.push(runNextCell(slot));
+        }
+
+        return Q.all(runs)
+            .then(() => {
+                const summary = {
+                    passed: results.every(result => result.passed),
+                    startedAt: startedAt,
+                    finishedAt: Date.now(),
+                    cells: results
+                };
+
+                this.printSummary(summary);
+                this.writeSummary(summary);
+                return summary;
+            });
+    }
+
+    // the cells run at the same time should not compete for the ports
+    getSlotCount () {
+        const ports = this.config.getPorts();
+        const portCount = ports.end - ports.start + 1;
+        const slots = Math.min(this.config.getParallel(), this.cells.length);
+
+        if (slots > portCount) {
+            logger.warn('cordova-paramedic: only ' + portCount + ' ports are available, running ' + portCount + ' matrix cells at a time');
+            return portCount;
+        }
+
+        return slots;
+    }
+
+    getSlotPorts (slot) {
+        const ports = this.config.getPorts();
+        const slotSize = Math.floor((ports.end - ports.start + 1) / this.slotCount);
+        const start = ports.start + slot * slotSize;
+
+        return { start: start, end: start + slotSize - 1 };
+    }
+
+    runCell (cell, slot) {
+        const cellOutputDir = path.join(this.outputDir, cell.name);
+        const configFile = path.join(cellOutputDir, CELL_CONFIG_FILE_NAME);
+        const ports = this.getSlotPorts(slot);
+        const startedAt = Date.now();
+
+        cell.config.setOutputDir(cellOutputDir);
+        cell.config.setPorts(ports.start, ports.end);
+        // the cells running at the same time can't share the app
+        if (cell.config.getProjectDir()) {
+            cell.config.setProjectDir(path.join(cell.config.getProjectDir(), cell.name));
+        }
+
+        shell.mkdir('-p', cellOutputDir);
+        // the results of a previous run would end up in the summary if this one fails early
+        shell.rm('-f', path.join(cellOutputDir, JSON_RESULTS_FILE_NAME));
+        fs.writeFileSync(configFile, JSON.stringify(cell.config, null, 4));
+
+        logger.info('cordova-paramedic: [' + cell.name + '] starting, the results go to ' + cellOutputDir);
+
+        return Q.Promise((resolve) => {
+            const child = spawn(process.execPath, [MAIN_SCRIPT, '--config', configFile], { env: getCellEnv() });
+
+            const forwardOutput = (stream, write) => {
+                let pending = '';
+                stream.on('data', (data) => {
+                    const lines = (pending + data).split('\n');
+                    pending = lines.pop();
+                    lines.forEach(line => write('[' + cell.name + '] ' + line + '\n'));
+                });
+                stream.on('end', () => {
+                    if (pending) write('[' + cell.name + '] ' + pending + '\n');
+                });
+            };
+            forwardOutput(child.stdout, text => process.stdout.write(text));
+            forwardOutput(child.stderr, text => process.stderr.write(text));
+
+            child.on('error', (error) => {
+                logger.error('cordova-paramedic: [' + cell.name + '] cannot be started: ' + error);
+            });
+            child.on('close', (exitCode) => {
+                resolve(exitCode);
+            });
+        })
+            .then((exitCode) => {
+                const result = {
+                    name: cell.name,
+                    platform: cell.config.getPlatform(),
+                    passed: exitCode === 0,
+                    exitCode: exitCode,
+                    duration: Date.now() - startedAt,
+                    summary: this.readCellSummary(cellOutputDir),
+                    outputDir: cellOutputDir
+                };
+
+                logger.info('cordova-paramedic: [' + cell.name + '] ' + (result.passed ? 'passed' : 'failed') + ' in ' + formatDuration(result.duration));
+                return result;
+            });
+    }
+
+    readCellSummary (cellOutputDir) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(cellOutputDir, JSON_RESULTS_FILE_NAME), 'utf-8')).summary;
+        } catch (ex) {
+            return null;
+        }
+    }
+
+    printSummary (summary) {
+        const rows = [['Cell', 'Result', 'Specs', 'Passed', 'Failed', 'Pending', 'Flaky', 'Duration']].concat(summary.cells.map((cell) => {
+            const specs = cell.summary || {};
+            return [
+                cell.name,
+                cell.passed ? 'passed' : 'failed',
+                specs.total, specs.passed, specs.failed, specs.pending, specs.flaky,
+                formatDuration(cell.duration)
+            ].map(value => value === undefined ? '-' : String(value));
+        }));
+
+        const widths = rows[0].map((header, column) => Math.max.apply(null, rows.map(row => row[column].length)));
+        const lines = rows.map(row => row.map((value, column) => value + ' '.repeat(widths[column] - value.length)).join('  ').trim());
+        lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+        logger.info('cordova-paramedic: matrix results\n\n' + lines.join('\n') + '\n');
+    }
+
+    writeSummary (summary) {
+        try {
+            shell.mkdir('-p', this.outputDir);
+            fs.writeFileSync(path.join(this.outputDir, MATRIX_RESULTS_FILE_NAME), JSON.stringify(summary, null, 4));
+            fs.writeFileSync(path.join(this.outputDir, MATRIX_REPORT_FILE_NAME), this.renderSummary(summary));
+            logger.info('cordova-paramedic: matrix results are written to: ' + this.outputDir);
+        } catch (ex) {
+            logger.error('cordova-paramedic: cannot write the matrix results. ' + ex);
+        }
+    }
+
+    renderSummary (summary) {
+        const escapeHtml = ParamedicHtmlReport.escapeHtml;
+        const rows = summary.cells.map((cell) => {
+            const specs = cell.summary || {};
+            const reportFile = path.join(cell.name, ParamedicHtmlReport.HTML_REPORT_FILE_NAME);
+            const name = fs.existsSync(path.join(this.outputDir, reportFile))
+                ? '<a href="' + escapeHtml(reportFile) + '">' + escapeHtml(cell.name) + '</a>'
+                : escapeHtml(cell.name);
+
+            return '<tr><td>' + name + '</td><td class="' + (cell.passed ? 'passed' : 'failed') + '">' + (cell.passed ? 'passed' : 'failed') + '</td>' +
+                [specs.total, specs.passed, specs.failed, specs.pending, specs.flaky].map(value => '<td>' + (value === undefined ? '-' : value) + '</td>').join('') +
+                '<td>' + formatDuration(cell.duration) + '</td></tr>';
+        });
+
+        return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Paramedic matrix results</title><style>' + ParamedicHtmlReport.STYLE + '</style></head><body>' +
+            '<h1>Paramedic matrix results</h1><table><tr><th>Cell</th><th>Result</th><th>Specs</th><th>Passed</th><th>Failed</th><th>Pending</th><th>Flaky</th><th>Duration</th></tr>' +
+            rows.join('') + '</table></body></html>\n';
+    }
+}
+
+// the PARAMEDIC_* variables have been resolved into the config of the cell already,
+// they would override the values the matrix entries set for the cell otherwise
+function getCellEnv () {
+    return Object.keys(process.env)
+        .filter(name => name.indexOf('PARAMEDIC_') !== 0)
+        .reduce((env, name) => {
+            env[name] = process.env[name];
+            return env;
+        }, {});
+}
+
+function formatDuration (duration) {
+    const seconds = Math.round(duration / 1000);
+    return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+}
+
+module.exports = ParamedicMatrix;
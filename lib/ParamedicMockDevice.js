@@ -0,0 +1,450 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const http = require('http');
+const url = require('url');
+const io = require('socket.io-client');
+const { logger } = require('./utils');
+const Server = require('./LocalServer');
+const specFilter = require('../paramedic-plugin/specFilter');
+
+// what may become of a spec each time it is run
+const OUTCOMES = ['passed', 'failed', 'pending', 'hang', 'disconnect'];
+const DEFAULT_SPEC_DURATION = 1;
+const DEFAULT_DEVICE = {
+    platform: 'Mock',
+    model: 'paramedic-mock-device',
+    version: '1.0.0',
+    uuid: 'paramedic-mock-device',
+    cordova: 'mock',
+    manufacturer: 'Apache Cordova',
+    isVirtual: true
+};
+// the console methods which have a level of their own, see paramedic-plugin
+const CONSOLE_LEVELS = ['info', 'warn', 'error', 'debug'];
+const HTTP_POST_INTERVAL = 1000;
+
+function toDeviceLog (log) {
+    const entry = typeof log === 'string' ? { type: 'log', msg: [log] } : log;
+    const type = entry.type || 'log';
+
+    return {
+        type: type,
+        level: CONSOLE_LEVELS.indexOf(type) >= 0 ? type : 'log',
+        timestamp: Date.now(),
+        msg: entry.msg || [entry.message]
+    };
+}
+
+function getRandomId () {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+}
+
+// The HttpTransport of paramedic-plugin, used like the socket.io socket: the events are posted
+// every HTTP_POST_INTERVAL ms and the responses carry the commands of the server.
+class HttpSocket {
+    constructor (logUrl, query) {
+        this.url = new url.URL(logUrl.replace(/\/$/, '') + Server.HTTP_EVENTS_PATH + '?' + query + '&connection=' + getRandomId());
+        this.connected = false;
+        this.listeners = {};
+        this.batch = [];
+        this.isPosting = false;
+        this.timer = null;
+
+        this.connect();
+    }
+
+    on (event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    trigger (event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    emit (route, data, event, ack) {
+        this.batch.push({ route: route, data: data, event: event, ack: ack });
+    }
+
+    connect () {
+        this.timer = setInterval(() => this.post(), HTTP_POST_INTERVAL);
+        this.post();
+    }
+
+    disconnect () {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.connected = false;
+    }
+
+    post () {
+        if (this.isPosting) return;
+
+        const batch = this.batch;
+        const onFailure = () => {
+            this.isPosting = false;
+            if (this.timer && this.connected) {
+                this.connected = false;
+                this.trigger('disconnect');
+            }
+        };
+
+        this.batch = [];
+        this.isPosting = true;
+        const request = http.request({
+            hostname: this.url.hostname,
+            port: this.url.port,
+            path: this.url.pathname + this.url.search,
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' }
+        }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                body += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    onFailure();
+                    return;
+                }
+
+                this.isPosting = false;
+                // the app has been closed meanwhile
+                if (!this.timer) return;
+
+                batch.forEach(event => event.ack && event.ack());
+                if (!this.connected) {
+                    this.connected = true;
+                    this.trigger('connect');
+                }
+                (JSON.parse(body).commands || []).forEach(command => this.trigger(command.event, command.data));
+            });
+        });
+
+        request.on('error', onFailure);
+        request.end(JSON.stringify({
+            events: batch.map(event => ({ route: event.route, data: event.data, event: event.event }))
+        }));
+    }
+}
+
+/**
+ * A fake device which runs no app: it reads medic.json, connects to the server and plays a scripted scenario
+ * speaking the same protocol as paramedic-plugin and JasmineParamedicProxy. The scenario is a JSON object:
+ *
+ *   {
+ *     "device": { "platform": "Android", "model": "Pixel" },   // sent as deviceInfo
+ *     "connectDelay": 2000,                                     // ms the app takes to connect once launched
+ *     "suites": [{
+ *       "description": "Camera",
+ *       "specs": [
+ *         { "description": "takes a picture", "duration": 500, "logs": ["taking a picture"] },
+ *         { "description": "is flaky", "results": ["failed", "passed"], "message": "Expected 1 to be 2" },
+ *         { "description": "loses the network", "reconnect": 3000 },
+ *         { "description": "freezes the app", "result": "hang" }
+ *       ],
+ *       "suites": []
+ *     }]
+ *   }
+ *
+ * The result of a spec is one of OUTCOMES: 'hang' leaves the spec running forever, 'disconnect' crashes the app.
+ * With "results" the spec goes on with the next one each time it is run again, the last one is kept.
+ * With "reconnect" the connection drops while the spec runs and the device reconnects after that many ms.
+ */
+class ParamedicMockDevice {
+    constructor (scenario, index) {
+        this.scenario = scenario;
+        this.index = index || 0;
+        this.socket = null;
+        this.timers = [];
+        // how many times each spec has been run, by full name, the device outlives the launches of the app
+        this.attempts = {};
+        this.rerunSpecs = null;
+        this.session = null;
+        this.seq = 0;
+        this.pending = [];
+    }
+
+    launch (medicJsonPath) {
+        this.stop();
+        this.medicJsonPath = medicJsonPath;
+
+        const medicConfig = JSON.parse(fs.readFileSync(medicJsonPath, 'utf-8'));
+        // the host the emulators reach paramedic at is the local host here
+        const logUrl = medicConfig.logurl.replace('//10.0.2.2', '//127.0.0.1');
+
+        logger.info('cordova-paramedic: launching the mock device, it connects to ' + logUrl);
+        this.schedule(() => this.connect(logUrl, medicConfig), this.scenario.connectDelay || 0);
+    }
+
+    connect (logUrl, medicConfig) {
+        const device = this.getDeviceInfo();
+        const query = 'token=' + encodeURIComponent(medicConfig.token || '') + '&device=' + encodeURIComponent([device.platform, device.model, device.uuid].join('/'));
+        const socket = medicConfig.transport === 'http' ? new HttpSocket(logUrl, query) : io.connect(logUrl, { forceNew: true, query: query });
+        let isStarted = false;
+
+        this.socket = socket;
+        this.session = getRandomId();
+        this.seq = 0;
+        this.pending = [];
+
+        socket.on('connect', () => {
+            this.pending.forEach(event => this.sendPending(event));
+            this.send('deviceInfo', device);
+
+            if (!isStarted) {
+                isStarted = true;
+                this.play(this.getSteps(medicConfig));
+            }
+        });
+
+        socket.on('rerunSpecs', (data) => {
+            if (data.specs) {
+                this.rerunSpecs = data.specs;
+            }
+            this.launch(this.medicJsonPath);
+        });
+    }
+
+    stop () {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+    }
+
+    getDeviceInfo () {
+        const device = Object.assign({}, DEFAULT_DEVICE, this.scenario.device);
+        if (this.index > 0) {
+            device.uuid += '-' + (this.index + 1);
+        }
+
+        return device;
+    }
+
+    schedule (fn, delay) {
+        this.timers.push(setTimeout(fn, delay));
+    }
+
+    // the way the EventSender of paramedic-plugin sends the events: in order, numbered within the session
+    // and sent again on reconnection until the server acknowledges them
+    send (route, data) {
+        const event = { route: route, data: data, seq: ++this.seq };
+        this.pending.push(event);
+
+        if (this.socket && this.socket.connected) {
+            this.sendPending(event);
+        }
+    }
+
+    sendPending (event) {
+        this.socket.emit(event.route, event.data, { session: this.session, seq: event.seq }, () => {
+            this.pending = this.pending.filter(pendingEvent => pendingEvent.seq !== event.seq);
+        });
+    }
+
+    dropConnection (delay) {
+        const socket = this.socket;
+
+        logger.normal('cordova-paramedic: the mock device loses the connection for ' + delay + ' ms');
+        socket.disconnect();
+        this.schedule(() => socket.connect(), delay);
+    }
+
+    // runs the steps one after the other, a step returns the ms to wait before the next one or false to stop
+    play (steps) {
+        const next = () => {
+            while (steps.length > 0) {
+                const delay = steps.shift()();
+                if (delay === false) return;
+                if (delay > 0) {
+                    this.schedule(next, delay);
+                    return;
+                }
+            }
+        };
+
+        next();
+    }
+
+    getSteps (medicConfig) {
+        const disabledSpecs = this.getDisabledSpecs(medicConfig);
+        const specResults = { specExecuted: 0, specFailed: 0 };
+        const steps = [];
+        let specCount = 0;
+        let suiteCount = 1;
+
+        const emit = (route, data) => steps.push(() => {
+            this.send(route, data);
+            return 0;
+        });
+
+        const addSpec = (spec, suiteNames) => {
+            const fullName = suiteNames.concat(spec.description).join(' ');
+            const data = { id: 'spec' + specCount++, description: spec.description, fullName: fullName, failedExpectations: [], passedExpectations: [], pendingReason: '' };
+            let outcome = null;
+
+            emit('specStarted', data);
+            if (disabledSpecs.hasOwnProperty(data.id)) {
+                emit('specDone', Object.assign({}, data, { status: 'disabled' }));
+                return;
+            }
+
+            steps.push(() => {
+                outcome = this.getOutcome(spec, fullName);
+                if (spec.reconnect) {
+                    this.dropConnection(spec.reconnect);
+                }
+                (spec.logs || []).forEach(log => this.send('deviceLog', toDeviceLog(log)));
+                return spec.duration === undefined ? DEFAULT_SPEC_DURATION : spec.duration;
+            });
+            steps.push(() => {
+                if (outcome === 'hang') {
+                    logger.normal('cordova-paramedic: the mock device hangs in "' + fullName + '"');
+                    return false;
+                }
+                if (outcome === 'disconnect') {
+                    logger.normal('cordova-paramedic: the mock device disconnects in "' + fullName + '"');
+                    this.stop();
+                    return false;
+                }
+
+                const failedExpectations = outcome !== 'failed' ? [] : [{
+                    matcherName: 'toBe',
+                    message: spec.message || 'Expected true to be false.',
+                    stack: spec.stack || 'Error: ' + (spec.message || 'Expected true to be false.'),
+                    passed: false
+                }];
+                specResults.specExecuted++;
+                if (outcome === 'failed') specResults.specFailed++;
+
+                this.send('specDone', Object.assign({}, data, { status: outcome, failedExpectations: failedExpectations }));
+                return 0;
+            });
+        };
+
+        const addSuite = (suite, parentNames) => {
+            const names = parentNames.concat(suite.description);
+            const data = { id: 'suite' + suiteCount++, description: suite.description, fullName: names.join(' '), failedExpectations: [] };
+
+            emit('suiteStarted', data);
+            (suite.specs || []).forEach(spec => addSpec(spec, names));
+            (suite.suites || []).forEach(child => addSuite(child, names));
+            emit('suiteDone', Object.assign({}, data, { status: 'finished' }));
+        };
+
+        emit('jasmineStarted', { totalSpecsDefined: countSpecs(this.scenario.suites) });
+        this.scenario.suites.forEach(suite => addSuite(suite, []));
+        steps.push(() => {
+            const device = this.getDeviceInfo();
+            this.send('jasmineDone', {
+                cordova: { platform: device.platform.toLowerCase(), version: device.version, model: device.model },
+                specResults: specResults
+            });
+            return 0;
+        });
+
+        return steps;
+    }
+
+    // The ids of the specs the spec filter of paramedic-plugin disables: the specs to retry, the ones run before a relaunch,
+    // --filter, --exclude and the shards. It is run on the suites of the scenario, numbered the way getSteps numbers them.
+    getDisabledSpecs (medicConfig) {
+        const disabledSpecs = {};
+        let specCount = 0;
+
+        const toSuite = (suite, parentNames) => {
+            const names = parentNames.concat(suite.description);
+            const specs = (suite.specs || []).map((spec) => {
+                const id = 'spec' + specCount++;
+                const fullName = names.concat(spec.description).join(' ');
+
+                return { id: id, getFullName: () => fullName, disable: () => { disabledSpecs[id] = true; } };
+            });
+
+            return { children: specs.concat((suite.suites || []).map(child => toSuite(child, names))) };
+        };
+
+        const topSuite = { children: this.scenario.suites.map(suite => toSuite(suite, [])) };
+        const filter = specFilter.createSpecFilter(medicConfig, this.rerunSpecs, topSuite);
+        this.rerunSpecs = null;
+        if (filter) {
+            specFilter.disableSpecs(topSuite, filter);
+        }
+
+        return disabledSpecs;
+    }
+
+    getOutcome (spec, fullName) {
+        const results = spec.results || [spec.result || 'passed'];
+        const attempt = this.attempts[fullName] || 0;
+        this.attempts[fullName] = attempt + 1;
+
+        return results[Math.min(attempt, results.length - 1)];
+    }
+}
+
+function countSpecs (suites) {
+    return (suites || []).reduce((count, suite) => count + (suite.specs || []).length + countSpecs(suite.suites), 0);
+}
+
+ParamedicMockDevice.readScenario = function (file) {
+    let scenario;
+    try {
+        scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (ex) {
+        throw new Error('Cannot read the scenario of the mock device ' + file + ': ' + ex.message);
+    }
+
+    const errors = [];
+    const checkSuites = (suites, parentName) => {
+        if (!Array.isArray(suites)) {
+            errors.push('the suites of ' + parentName + ' should be an array');
+            return;
+        }
+
+        suites.forEach((suite) => {
+            const suiteName = (parentName ? parentName + ' ' : '') + suite.description;
+            (suite.specs || []).forEach((spec) => {
+                (spec.results || [spec.result || 'passed']).forEach((result) => {
+                    if (OUTCOMES.indexOf(result) < 0) {
+                        errors.push('"' + suiteName + ' ' + spec.description + '" has an unknown result "' + result + '", known results are: ' + OUTCOMES.join(', '));
+                    }
+                });
+            });
+            checkSuites(suite.suites || [], suiteName);
+        });
+    };
+
+    checkSuites(scenario.suites, 'the scenario');
+    if (errors.length > 0) {
+        throw new Error('Invalid scenario of the mock device ' + file + ':\n  - ' + errors.join('\n  - '));
+    }
+
+    return scenario;
+};
+
+ParamedicMockDevice.OUTCOMES = OUTCOMES;
+
+module.exports = ParamedicMockDevice;
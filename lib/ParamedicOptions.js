@@ -0,0 +1,482 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const DEFAULT_START_PORT = 7008;
+const DEFAULT_END_PORT = 7208;
+const DEFAULT_TIMEOUT = 60 * 60 * 1000; // 60 minutes in msec
+// budget of every single phase of the run in msec
+const DEFAULT_PHASE_TIMEOUTS = {
+    projectCreate: 5 * 60 * 1000,
+    pluginInstall: 15 * 60 * 1000,
+    platformAdd: 10 * 60 * 1000,
+    build: 30 * 60 * 1000,
+    deviceConnect: 9 * 60 * 1000,
+    testExecution: 45 * 60 * 1000
+};
+const SPEC_TIMEOUT_ACTIONS = ['continue', 'abort', 'restart'];
+const DEFAULT_SPEC_TIMEOUT_ACTION = 'continue';
+// how many ms the device has to reconnect before a disconnection fails the run, e.g. after a network blip
+const DEFAULT_RECONNECT_TIMEOUT = 10000;
+const RETRY_MODES = ['session', 'relaunch'];
+const DEFAULT_RETRY_MODE = 'session';
+const TRANSPORTS = ['socket.io', 'http'];
+const DEFAULT_TRANSPORT = 'socket.io';
+const DEFAULT_SAUCE_APPIUM_VERSION = '1.9.1';
+const DEFAULT_BUILD_NAME = 'Paramedic sauce test';
+const DEFAULT_CLI = 'cordova'; // use globally installed cordova by default
+const ENV_PREFIX = 'PARAMEDIC_';
+const SHARD_FORMAT = /^(\d+)\/(\d+)$/;
+
+// The sources of the option values, from the highest precedence to the lowest.
+// Defaults are not stored in the config, the getters of ParamedicConfig fall back to them.
+const SOURCES = ['cli', 'env', 'file'];
+
+/**
+ * Every option paramedic supports. An option has:
+ *  - key: the key in a configuration file and in ParamedicConfig, null for the command line only options
+ *  - flag: the command line flag, the key if not set, null for the configuration file only options
+ *  - aliases, deprecatedAliases: other command line flags of the option, the deprecated ones are reported
+ *  - type: 'string', 'boolean', 'integer', 'array' (of items) or 'object' (with keys, of items)
+ *  - values: the values the option is limited to
+ *  - pattern: the value is a regular expression, or a list of them, which is validated
+ *  - check: a function returning the errors of a value, for the formats the type doesn't cover
+ *  - default: the value used when the option is not set, for the help only
+ *  - arg, keyArg, description, group: for the help
+ * The environment variable of an option is its key in upper snake case prefixed with PARAMEDIC_,
+ * e.g. PARAMEDIC_SAUCE_USER for sauceUser.
+ */
+const OPTIONS = [
+    { key: 'platform', type: 'string', arg: 'PLATFORM', group: 'build', description: 'the platform id. Currently supports \'ios\', \'browser\', \'windows\', \'android\'.\nPath to platform can be specified as link to git repo like:\nwindows@https://github.com/apache/cordova-windows.git\nor path to local copied git repo like:\nwindows@../cordova-windows/' },
+    { key: 'plugins', flag: 'plugin', type: 'array', items: 'string', arg: 'PATH', group: 'build', description: 'the relative or absolute path to a plugin folder\nexpected to have a \'tests\' folder.\nYou may specify multiple --plugin flags and they will all\nbe installed and tested together.' },
+    { key: 'action', type: 'string', values: ['run', 'build', 'emulate'], default: 'run', arg: 'ACTION', group: 'build', description: 'the Cordova command to use for the app' },
+    { key: 'justbuild', aliases: ['justBuild'], type: 'boolean', group: 'build', description: 'just builds the project, without running the tests' },
+    { key: 'args', type: 'string', arg: 'ARGS', group: 'build', description: 'add command line args to the "cordova build" and "cordova run" commands' },
+    { key: 'browserify', type: 'boolean', group: 'build', description: 'plugins are browserified into cordova.js' },
+    { key: 'cli', type: 'string', default: DEFAULT_CLI, arg: 'PATH', group: 'build', description: 'A path to Cordova CLI' },
+    { key: 'verbose', type: 'boolean', group: 'build', description: 'verbose mode. Display more information output' },
+    { key: 'skipMainTests', type: 'boolean', group: 'build', description: 'Do not run main (cordova-test-framework) tests' },
+    { key: 'skipAppiumTests', deprecatedAliases: ['skipAppium'], type: 'boolean', group: 'build', description: 'Do not run Appium tests' },
+    { key: 'ci', type: 'boolean', group: 'build', description: 'Skip tests that require user interaction' },
+    { key: 'filter', aliases: ['grep'], type: 'array', items: 'string', pattern: true, arg: 'PATTERN', group: 'build', description: 'only run the specs whose full name (suite names included) matches\nthe regular expression PATTERN. May be specified multiple times' },
+    { key: 'exclude', type: 'array', items: 'string', pattern: true, arg: 'PATTERN', group: 'build', description: 'do not run the specs whose full name matches the regular expression PATTERN' },
+    { key: 'projectDir', type: 'string', arg: 'PATH', group: 'build', description: 'keep the test app in PATH and reuse it in the next runs: only the plugins\nwhich have changed are installed again' },
+    { key: 'reuseProject', type: 'boolean', group: 'build', description: 'keep the test app in a stable location in the temp folder and reuse it in the next runs,\nsee --projectDir' },
+    { key: 'watch', type: 'boolean', group: 'build', description: 'keep the app, the server and the emulator alive after the tests, install the plugins again\nand rerun the tests whenever the source of a local plugin changes' },
+    { key: 'cleanUpAfterRun', type: 'boolean', group: 'build', description: 'cleans up the application after the run' },
+
+    { key: 'target', type: 'string', arg: 'TARGET', group: 'device', description: 'target to deploy to' },
+    { key: 'logMins', type: 'integer', arg: 'MINS', group: 'device', description: 'Windows only - specifies number of minutes to get logs' },
+    { key: 'shards', type: 'integer', default: 1, arg: 'N', group: 'device', description: 'Android only - split the tests between N emulators or devices running at the same time.\nThe missing emulators are started, --target may list the device ids separated by commas' },
+    { key: 'devices', type: 'integer', default: 1, arg: 'N', group: 'device', description: 'wait for N devices running the app to connect, e.g. on a device farm through --externalServerUrl.\nEach device reports its own results, in a deviceI folder of --outputDir' },
+    { key: 'mockDevice', type: 'string', arg: 'SCENARIO', group: 'device', description: 'do not build the app, a fake device plays the scripted SCENARIO (a JSON file)\nin its place. Exercises the runner and the reporters without any emulator' },
+    { key: 'tccDb', deprecatedAliases: ['tccDbPath'], type: 'string', arg: 'PATH', group: 'device', description: 'iOS only - specifies the path for the TCC.db file to be copied.' },
+
+    { key: 'useTunnel', type: 'boolean', group: 'server', description: 'use tunneling instead of local address. default is false' },
+    { key: 'externalServerUrl', type: 'string', arg: 'URL', group: 'server', description: 'the url the device connects to if paramedic is not reachable on the local address' },
+    { key: 'startPort', flag: 'startport', aliases: ['port'], type: 'integer', default: DEFAULT_START_PORT, arg: 'PORTNUM', group: 'server', description: 'first of the ports to find available and use for posting results from emulator back to paramedic server' },
+    { key: 'endPort', flag: 'endport', aliases: ['port'], type: 'integer', default: DEFAULT_END_PORT, arg: 'PORTNUM', group: 'server', description: 'last of the ports to find available. --port PORTNUM sets both' },
+    { key: 'transport', type: 'string', values: TRANSPORTS, default: DEFAULT_TRANSPORT, arg: 'NAME', group: 'server', description: 'how the app sends its events: \'socket.io\' falls back to batched http posts\nwhen the socket cannot connect, \'http\' always posts them' },
+    { key: 'fileTransferServer', type: 'string', arg: 'URL', group: 'server', description: '(cordova-plugin-file-transfer only) A server address tests should connect to,\nparamedic runs one of its own on a free port otherwise' },
+    { key: 'outputDir', type: 'string', arg: 'PATH', group: 'server', description: 'path to save Junit and JSON results files & Device logs' },
+    { key: 'recordEvents', type: 'string', arg: 'FILE', group: 'server', description: 'write every event received from the device to FILE (newline-delimited JSON),\nthe reports can be generated again from it with \'cordova-paramedic replay FILE\'' },
+
+    { key: 'timeout', type: 'integer', default: DEFAULT_TIMEOUT, arg: 'MSECS', group: 'tests', description: 'time in millisecs to wait for the whole run to complete' },
+    { key: 'phaseTimeouts', type: 'object', keys: Object.keys(DEFAULT_PHASE_TIMEOUTS), items: 'integer', keyArg: 'PHASE', arg: 'MSECS', group: 'tests', description: 'time in millisecs a single phase of the run may take, e.g. --phaseTimeouts.build. Phases are:\n' + Object.keys(DEFAULT_PHASE_TIMEOUTS).join(', ') },
+    { key: 'idleTimeout', type: 'integer', arg: 'SECS', group: 'tests', description: 'fail the run if no event has been received from the device for this many seconds' },
+    { key: 'reconnectTimeout', type: 'integer', default: DEFAULT_RECONNECT_TIMEOUT, arg: 'MSECS', group: 'tests', description: 'time in millisecs the device has to reconnect after its connection drops\nbefore the run fails, 0 fails it right away' },
+    { key: 'specTimeout', type: 'integer', arg: 'MSECS', group: 'tests', description: 'time in millisecs a single spec may run before it is reported as timed out' },
+    { key: 'specTimeoutAction', type: 'string', values: SPEC_TIMEOUT_ACTIONS, default: DEFAULT_SPEC_TIMEOUT_ACTION, arg: 'ACTION', group: 'tests', description: 'what to do when a spec times out: \'continue\', \'abort\' the run\nor \'restart\' the app and continue with the remaining specs' },
+    { key: 'retries', type: 'integer', default: 0, arg: 'N', group: 'tests', description: 'run the failed specs up to N more times. Specs which pass on a retry are reported as flaky' },
+    { key: 'retryMode', type: 'string', values: RETRY_MODES, default: DEFAULT_RETRY_MODE, arg: 'MODE', group: 'tests', description: 'how the failed specs are retried: \'session\' reloads the test page\nin the running app, \'relaunch\' rebuilds and relaunches the app' },
+    { key: 'shard', type: 'string', check: checkShard, arg: 'I/N', group: 'tests', description: 'only run the I-th of N slices of the top level suites, e.g. in one of N CI jobs.\nThe results of the jobs are combined with \'cordova-paramedic merge-results\'' },
+    { key: 'parallel', type: 'integer', default: 1, arg: 'N', group: 'tests', description: 'number of matrix cells to run at the same time, see \'matrix\' in the README' },
+    { key: 'matrix', flag: null, type: 'array', items: 'object', group: 'tests', description: 'the cells of a matrix run' },
+
+    { key: 'shouldUseSauce', type: 'boolean', group: 'sauce', description: 'run tests on Sauce Labs' },
+    { key: 'sauceUser', type: 'string', arg: 'USER', group: 'sauce', description: 'Saucelabs username' },
+    { key: 'sauceKey', type: 'string', arg: 'KEY', group: 'sauce', description: 'Saucelabs access key' },
+    { key: 'buildName', type: 'string', default: DEFAULT_BUILD_NAME, arg: 'NAME', group: 'sauce', description: 'Build name to show in Saucelabs dashboard' },
+    { key: 'sauceDeviceName', type: 'string', arg: 'NAME', group: 'sauce', description: 'Name of the SauceLabs emulator/browser. For example, "iPhone Simulator" or "firefox"' },
+    { key: 'saucePlatformVersion', type: 'string', arg: 'VERSION', group: 'sauce', description: 'Version of the emulator OS or version of the browser. For example, "9.3" or "54.0"' },
+    { key: 'sauceAppiumVersion', type: 'string', default: DEFAULT_SAUCE_APPIUM_VERSION, arg: 'VERSION', group: 'sauce', description: 'Appium version to use when running on Saucelabs. For example, "1.5.3"' },
+    { key: 'sauceTunnelId', type: 'string', arg: 'ID', group: 'sauce', description: 'Tunnel identifier to use. Only usable if you have Sauce Connect up' },
+
+    { key: 'extends', flag: null, type: 'string', group: 'other', description: 'the configuration file a configuration file inherits from' },
+    { key: null, flag: 'config', env: 'PARAMEDIC_CONFIG', type: 'string', arg: 'PATH', group: 'other', description: 'read configuration from paramedic configuration file' },
+    { key: null, flag: 'print-config', aliases: ['dryRun'], type: 'boolean', group: 'other', description: 'prints the resolved configuration with the source of every value and the commands\nwhich would be run, then exits without running anything' },
+    { key: null, flag: 'help', type: 'boolean', group: 'other', description: 'prints this help and exits' },
+    { key: null, flag: 'version', type: 'boolean', group: 'other', description: 'prints cordova-paramedic version and exits' }
+];
+
+const GROUPS = {
+    build: 'What to build and test',
+    device: 'Emulator/Device to use for tests',
+    server: 'Test Result Server',
+    tests: 'Test configuration',
+    sauce: 'Sauce Labs',
+    other: 'Other'
+};
+
+// keys which make no sense in a single cell of a matrix
+const MATRIX_ONLY_KEYS = ['extends', 'matrix', 'parallel'];
+
+const OPTIONS_BY_KEY = {};
+OPTIONS.forEach((option) => {
+    if (option.flag === undefined) option.flag = option.key;
+    if (option.env === undefined && option.key) option.env = ENV_PREFIX + option.key.replace(/([A-Z])/g, '_$1').toUpperCase();
+    if (option.key) OPTIONS_BY_KEY[option.key] = option;
+});
+
+function getType (value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function hasType (value, types) {
+    const type = getType(value);
+    return [].concat(types).some(expected => expected === type || (expected === 'number' && type === 'integer'));
+}
+
+function levenshtein (a, b) {
+    const distances = [];
+    for (let i = 0; i <= a.length; i++) {
+        distances[i] = [i];
+        for (let j = 1; j <= b.length; j++) {
+            distances[i][j] = i === 0 ? j : Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+            );
+        }
+    }
+    return distances[a.length][b.length];
+}
+
+function suggestKey (key, knownKeys) {
+    const lowerKey = key.toLowerCase();
+    const suggestion = knownKeys.find(known => known.toLowerCase().indexOf(lowerKey) === 0 || lowerKey.indexOf(known.toLowerCase()) === 0) ||
+        knownKeys.find(known => levenshtein(key, known) <= 2);
+
+    return suggestion ? ', did you mean "' + suggestion + '"?' : '';
+}
+
+// spec name patterns are validated here since they are only compiled on the device where a typo would be hard to notice
+function checkPattern (pattern, name) {
+    try {
+        // compiles the pattern like new RegExp does
+        RegExp(pattern);
+    } catch (ex) {
+        return ['"' + name + '" is not a valid pattern: ' + ex.message];
+    }
+    return [];
+}
+
+function checkShard (shard, name) {
+    const match = SHARD_FORMAT.exec(shard);
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+        return ['"' + name + '" should be I/N with I between 1 and N, e.g. 2/4, got ' + JSON.stringify(shard)];
+    }
+    return [];
+}
+
+function validateValue (name, value, types, values) {
+    if (!hasType(value, types)) {
+        return ['"' + name + '" should be ' + [].concat(types).map(type => type === 'integer' || type === 'array' || type === 'object' ? 'an ' + type : 'a ' + type).join(' or ') +
+            ', got ' + JSON.stringify(value)];
+    }
+    if (values && values.indexOf(value) < 0) {
+        return ['"' + name + '" should be one of ' + values.map(known => '"' + known + '"').join(', ') + ', got ' + JSON.stringify(value)];
+    }
+    return [];
+}
+
+function validateOption (key, value, name) {
+    const option = OPTIONS_BY_KEY[key];
+    if (!option) {
+        return ['unknown option "' + name + '"' + suggestKey(key, Object.keys(OPTIONS_BY_KEY))];
+    }
+
+    const types = option.type === 'array' && option.items !== 'object' ? ['array', option.items] : option.type;
+    const errors = validateValue(name, value, types, option.values);
+    if (errors.length > 0) return errors;
+
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            errors.push.apply(errors, validateValue(name + '[' + index + ']', item, option.items));
+        });
+    } else if (getType(value) === 'object' && option.keys) {
+        Object.keys(value).forEach((itemKey) => {
+            if (option.keys.indexOf(itemKey) < 0) {
+                errors.push('unknown key "' + name + '.' + itemKey + '"' + (suggestKey(itemKey, option.keys) || '.') + ' Known keys are: ' + option.keys.join(', '));
+            } else {
+                errors.push.apply(errors, validateValue(name + '.' + itemKey, value[itemKey], option.items));
+            }
+        });
+    }
+
+    if (errors.length === 0 && option.pattern) {
+        [].concat(value).forEach((pattern) => {
+            errors.push.apply(errors, checkPattern(pattern, name));
+        });
+    }
+    if (errors.length === 0 && option.check) {
+        errors.push.apply(errors, option.check(value, name));
+    }
+
+    return errors;
+}
+
+// an array value of a matrix entry lists the values of the cells, an array of objects lists groups of values
+function validateMatrixEntry (entry, name) {
+    const errors = [];
+
+    Object.keys(entry).forEach((key) => {
+        const value = entry[key];
+        const keyName = name + '.' + key;
+
+        if (MATRIX_ONLY_KEYS.indexOf(key) >= 0) {
+            errors.push('"' + keyName + '" can not be set in a matrix entry');
+        } else if (Array.isArray(value) && value.length > 0 && value.every(item => getType(item) === 'object')) {
+            value.forEach((group, index) => {
+                Object.keys(group).forEach((groupKey) => {
+                    errors.push.apply(errors, validateOption(groupKey, group[groupKey], keyName + '[' + index + '].' + groupKey));
+                });
+            });
+        } else if (Array.isArray(value) && !isListKey(key)) {
+            value.forEach((item, index) => {
+                errors.push.apply(errors, validateOption(key, item, keyName + '[' + index + ']'));
+            });
+        } else {
+            errors.push.apply(errors, validateOption(key, value, keyName));
+        }
+    });
+
+    return errors;
+}
+
+function throwErrors (errors, source) {
+    if (errors.length > 0) {
+        throw new Error('Invalid paramedic configuration in ' + source + ':\n' + errors.map(error => '  - ' + error).join('\n'));
+    }
+}
+
+function validateConfig (json, source) {
+    const errors = [];
+
+    Object.keys(json).forEach((key) => {
+        errors.push.apply(errors, validateOption(key, json[key], key));
+    });
+    if (Array.isArray(json.matrix)) {
+        json.matrix.forEach((entry, index) => {
+            if (getType(entry) === 'object') {
+                errors.push.apply(errors, validateMatrixEntry(entry, 'matrix[' + index + ']'));
+            }
+        });
+    }
+
+    throwErrors(errors, source);
+}
+
+function isListKey (key) {
+    const option = OPTIONS_BY_KEY[key];
+    return !!option && option.type === 'array' && option.items !== 'object';
+}
+
+function convertValue (option, value, name, errors) {
+    switch (option.type) {
+    case 'boolean':
+        return value === 'false' || value === '0' ? false : !!value;
+    case 'integer':
+        if (String(value).trim() === '' || !Number.isInteger(Number(value))) {
+            errors.push('"' + name + '" should be an integer, got ' + JSON.stringify(value));
+            return undefined;
+        }
+        return Number(value);
+    case 'array':
+        return [].concat(value).map(String);
+    case 'object':
+        if (getType(value) !== 'object') {
+            errors.push('"' + name + '" should be set by key, e.g. ' + name + '.' + option.keys[0]);
+            return undefined;
+        }
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = convertValue({ type: option.items }, value[key], name + '.' + key, errors);
+            return result;
+        }, {});
+    default:
+        // minimist turns a repeated flag into an array, the last one wins
+        return String(Array.isArray(value) ? value[value.length - 1] : value);
+    }
+}
+
+function getFlags (option) {
+    return [option.flag].concat(option.aliases || [], option.deprecatedAliases || []);
+}
+
+function readArguments (argv, errors, warnings) {
+    const values = {};
+
+    OPTIONS.forEach((option) => {
+        if (!option.key || !option.flag) return;
+
+        const flag = getFlags(option).find(name => argv[name] !== undefined);
+        if (flag === undefined) return;
+
+        if ((option.deprecatedAliases || []).indexOf(flag) >= 0) {
+            warnings.push('--' + flag + ' is deprecated, use --' + option.flag + ' instead');
+        }
+
+        const value = convertValue(option, argv[flag], '--' + flag, errors);
+        if (value !== undefined) values[option.key] = value;
+    });
+
+    return values;
+}
+
+function readEnvironment (env, errors) {
+    const values = {};
+
+    OPTIONS.forEach((option) => {
+        if (!option.key || env[option.env] === undefined || env[option.env] === '') return;
+
+        let value = env[option.env];
+        if (option.type === 'array' || option.type === 'object') {
+            try {
+                value = JSON.parse(value);
+            } catch (ex) {
+                if (option.type === 'object') {
+                    errors.push('"' + option.env + '" should be a JSON object: ' + ex.message);
+                    return;
+                }
+            }
+        }
+
+        value = convertValue(option, value, option.env, errors);
+        if (value !== undefined) values[option.key] = value;
+    });
+
+    return values;
+}
+
+/**
+ * Resolves the configuration from the command line arguments (parsed by minimist), the environment
+ * and a configuration file. A value from the command line overrides the one from the environment, which
+ * overrides the one from the file. The keys of object values (phaseTimeouts) are resolved one by one.
+ * Returns the configuration along with the source of every value in it.
+ */
+function resolveOptions (argv, env, fileConfig) {
+    const errors = [];
+    const warnings = [];
+    const valuesBySource = {
+        cli: readArguments(argv || {}, errors, warnings),
+        env: readEnvironment(env || {}, errors),
+        file: fileConfig || {}
+    };
+
+    Object.keys(valuesBySource.cli).forEach((key) => {
+        errors.push.apply(errors, validateOption(key, valuesBySource.cli[key], '--' + OPTIONS_BY_KEY[key].flag));
+    });
+    Object.keys(valuesBySource.env).forEach((key) => {
+        errors.push.apply(errors, validateOption(key, valuesBySource.env[key], OPTIONS_BY_KEY[key].env));
+    });
+    throwErrors(errors, 'the command line and the environment');
+
+    const config = {};
+    const sources = {};
+    SOURCES.slice().reverse().forEach((source) => {
+        const values = valuesBySource[source];
+        Object.keys(values).forEach((key) => {
+            if (values[key] === undefined || values[key] === null) return;
+
+            config[key] = getType(config[key]) === 'object' && getType(values[key]) === 'object'
+                ? Object.assign({}, config[key], values[key])
+                : values[key];
+            sources[key] = source;
+        });
+    });
+
+    return { config: config, sources: sources, warnings: warnings };
+}
+
+// tells minimist which flags always take a string, so that e.g. "--saucePlatformVersion 8.0" is not turned into 8
+function getParseOptions () {
+    return {
+        string: OPTIONS.filter(option => option.flag && (option.type === 'string' || option.type === 'array'))
+            .reduce((flags, option) => flags.concat(getFlags(option)), [])
+    };
+}
+
+function formatFlag (option) {
+    const flag = [option.flag].concat(option.aliases || []).map(name => '--' + name).join('/') + (option.keyArg ? '.' + option.keyArg : '');
+    return option.arg ? flag + ' ' + option.arg : flag;
+}
+
+function getUsage () {
+    let usage = 'cordova-paramedic --platform PLATFORM --plugin PATH [--justbuild --timeout MSECS --startport PORTNUM --endport PORTNUM --browserify --version ...]\n' +
+        'cordova-paramedic merge-results [--outputDir PATH] RESULTS... : combines the results of the shards (--outputDir of each --shard run)\n' +
+        'cordova-paramedic replay [--outputDir PATH] FILE : reports the events recorded with --recordEvents again, without any device\n\n' +
+        'A value given on the command line overrides the one from the PARAMEDIC_* environment variable,\n' +
+        'which overrides the one from the configuration file.\n';
+
+    Object.keys(GROUPS).forEach((group) => {
+        usage += '\n' + GROUPS[group] + ':\n';
+
+        OPTIONS.filter(option => option.group === group && option.flag).forEach((option) => {
+            const details = [];
+            if (option.default !== undefined) details.push('default: ' + option.default);
+            if (option.env) details.push('env: ' + option.env);
+
+            const description = option.description.split('\n');
+            usage += '  ' + formatFlag(option) + ' : ' + description[0] + '\n';
+            description.slice(1).concat(details.length > 0 ? '(' + details.join(', ') + ')' : []).forEach((line) => {
+                usage += '\t' + line + '\n';
+            });
+        });
+    });
+
+    return usage;
+}
+
+module.exports = {
+    OPTIONS,
+    DEFAULT_START_PORT,
+    DEFAULT_END_PORT,
+    DEFAULT_TIMEOUT,
+    DEFAULT_PHASE_TIMEOUTS,
+    SPEC_TIMEOUT_ACTIONS,
+    DEFAULT_SPEC_TIMEOUT_ACTION,
+    DEFAULT_RECONNECT_TIMEOUT,
+    RETRY_MODES,
+    DEFAULT_RETRY_MODE,
+    TRANSPORTS,
+    DEFAULT_TRANSPORT,
+    DEFAULT_SAUCE_APPIUM_VERSION,
+    DEFAULT_BUILD_NAME,
+    DEFAULT_CLI,
+    SHARD_FORMAT,
+    getOption: key => OPTIONS_BY_KEY[key],
+    isListKey,
+    checkPattern,
+    validateConfig,
+    resolveOptions,
+    getParseOptions,
+    getUsage
+};
@@ -0,0 +1,85 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const { EventEmitter } = require('events');
+const { logger } = require('./utils');
+
+// Stands in for the LocalServer of a run and emits the events of a recording (see ParamedicEventRecorder)
+// as if the device was sending them. Nothing is ever sent to a device.
+class ParamedicReplayServer extends EventEmitter {
+    constructor (events) {
+        super();
+
+        this.events = events;
+        this.position = 0;
+        this.connected = false;
+        this.eventTime = null;
+    }
+
+    // one event per turn of the event loop so that the runner settles its promises in between, as in a real run
+    start () {
+        const next = () => {
+            if (this.position >= this.events.length) {
+                this.end();
+                return;
+            }
+
+            const event = this.events[this.position++];
+            this.emitEvent(event.event, event.data, event.time);
+            setImmediate(next);
+        };
+
+        setImmediate(next);
+    }
+
+    emitEvent (route, data, time) {
+        this.eventTime = time;
+        this.connected = route === 'disconnect' ? false : this.connected || route === 'connection';
+        this.emit(route, data);
+        this.eventTime = null;
+    }
+
+    end () {
+        const last = this.events[this.events.length - 1];
+        if (!last || last.event !== 'disconnect') {
+            this.emitEvent('disconnect', 'end of the recording', Date.now());
+        }
+    }
+
+    // the recorded app reconnects later, e.g. it has been relaunched
+    hasPendingEvents () {
+        return this.position < this.events.length;
+    }
+
+    isDeviceConnected () {
+        return this.connected;
+    }
+
+    sendToDevice (event) {
+        logger.verbose('cordova-paramedic: not sending "' + event + '" to the device, the events come from the recording');
+    }
+
+    getConnectionUrl () {
+        return null;
+    }
+
+    cleanUp () {}
+}
+
+module.exports = ParamedicReplayServer;
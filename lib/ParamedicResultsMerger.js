@@ -0,0 +1,220 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const shell = require('shelljs');
+const { logger } = require('./utils');
+const Reporters = require('./Reporters');
+const ParamedicHtmlReport = require('./ParamedicHtmlReport');
+
+function isSpecRun (spec) {
+    return spec.status !== 'disabled' && spec.status !== 'excluded';
+}
+
+function toDeviceLog (entry) {
+    return { type: entry.type, level: entry.level, msg: [entry.message], timestamp: entry.timestamp };
+}
+
+/**
+ * Combines the JSON results of the CI jobs which have run a slice of the suites each (see --shard)
+ * into a single set of JUnit, JSON and HTML results. Every job reports the specs of the other slices
+ * as disabled, a spec is taken from the job which has run it.
+ */
+class ParamedicResultsMerger {
+    constructor (inputs, outputDir) {
+        this.inputs = inputs;
+        this.outputDir = outputDir;
+    }
+
+    readResults (input) {
+        const file = fs.existsSync(input) && fs.statSync(input).isDirectory() ? path.join(input, Reporters.JSON_RESULTS_FILE_NAME) : input;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (ex) {
+            throw new Error('Cannot read the results from ' + file + ': ' + ex.message);
+        }
+    }
+
+    merge () {
+        if (this.inputs.length === 0) {
+            throw new Error('No results to merge, list the output folders of the shards or their ' + Reporters.JSON_RESULTS_FILE_NAME + ' files');
+        }
+
+        const results = this.inputs.map(input => this.readResults(input));
+        const shards = this.checkShards(results);
+
+        const resultsReporter = new Reporters.ResultsReporter();
+        const jsonReporter = new Reporters.JsonReporter(this.outputDir, results[0].plugins);
+        jsonReporter.mergedShards = shards;
+
+        shell.mkdir('-p', this.outputDir);
+        Reporters.replayEvents([new Reporters.JUnitReporter(this.outputDir), jsonReporter, resultsReporter], this.getEvents(results));
+
+        const report = new ParamedicHtmlReport({
+            platform: (results[0].cordova && results[0].cordova.platform) || '',
+            target: null,
+            results: resultsReporter.getResults()
+        });
+        report.write(this.outputDir);
+
+        logger.info('cordova-paramedic: merged the results of ' + results.length + ' runs into ' + this.outputDir);
+        return resultsReporter.getResults().summary;
+    }
+
+    // the shards of the results should be of the same run, the missing ones are reported
+    checkShards (results) {
+        const shards = results.map(result => result.shard).filter(shard => shard);
+        const counts = shards.map(shard => Number(shard.split('/')[1]))
+            .filter((count, index, all) => all.indexOf(count) === index);
+
+        if (shards.length < results.length) {
+            logger.warn('cordova-paramedic: some of the results are not the ones of a shard, they are merged anyway');
+        }
+        if (counts.length > 1) {
+            throw new Error('The results are of runs split into different numbers of shards: ' + shards.join(', '));
+        }
+
+        shards.filter((shard, index) => shards.indexOf(shard) !== index).forEach((shard) => {
+            logger.warn('cordova-paramedic: the results of shard ' + shard + ' are given more than once');
+        });
+        if (counts.length === 1) {
+            for (let index = 1; index <= counts[0]; index++) {
+                if (shards.indexOf(index + '/' + counts[0]) < 0) {
+                    logger.warn('cordova-paramedic: the results of shard ' + index + '/' + counts[0] + ' are missing, its suites are reported as disabled');
+                }
+            }
+        }
+
+        return shards;
+    }
+
+    // the specs in the order of the first results they appear in, each one from the results it has been run in
+    mergeSpecs (results) {
+        const specs = [];
+        const indexes = {};
+        const runIn = {};
+
+        results.forEach((result, resultIndex) => {
+            (result.specs || []).forEach((spec) => {
+                const key = spec.id + '|' + spec.fullName;
+
+                if (isSpecRun(spec)) {
+                    (runIn[key] = runIn[key] || []).push(result.shard ? 'shard ' + result.shard : this.inputs[resultIndex]);
+                }
+                if (!indexes.hasOwnProperty(key)) {
+                    indexes[key] = specs.length;
+                    specs.push(spec);
+                } else if (isSpecRun(spec) && !isSpecRun(specs[indexes[key]])) {
+                    specs[indexes[key]] = spec;
+                }
+            });
+        });
+
+        Object.keys(runIn).filter(key => runIn[key].length > 1).forEach((key) => {
+            logger.warn('cordova-paramedic: spec "' + specs[indexes[key]].fullName + '" has been run in ' + runIn[key].join(', ') +
+                ', only the result of ' + runIn[key][0] + ' is merged');
+        });
+
+        return specs;
+    }
+
+    // the events the reporters would have got from a single run of all the specs
+    getEvents (results) {
+        const events = [];
+        const startedAt = Math.min.apply(null, results.map(result => result.startedAt || Date.now()));
+        const finishedAt = Math.max.apply(null, results.map(result => result.finishedAt || startedAt));
+        const suites = [];
+        let time = startedAt;
+        let suiteCount = 0;
+        let specExecuted = 0;
+        let specFailed = 0;
+
+        const add = (route, data) => events.push({ route: route, data: data, time: time });
+        const closeSuites = (depth) => {
+            while (suites.length > depth) {
+                add('suiteDone', suites.pop());
+            }
+        };
+
+        if (results[0].device) {
+            add('deviceInfo', results[0].device);
+        }
+        add('jasmineStarted', {});
+        results.forEach((result) => {
+            (result.logs || []).forEach(entry => add('deviceLog', toDeviceLog(entry)));
+        });
+
+        this.mergeSpecs(results).forEach((spec, index) => {
+            // the suites the spec is nested in, the older results only have the full name of its suite
+            const suitePath = spec.suitePath || (spec.suite ? [spec.suite] : []);
+            let depth = 0;
+            while (depth < suites.length && depth < suitePath.length && suites[depth].description === suitePath[depth]) {
+                depth++;
+            }
+
+            closeSuites(depth);
+            suitePath.slice(depth).forEach((description) => {
+                const suite = {
+                    id: 'suite' + suiteCount++,
+                    description: description,
+                    fullName: suites.map(parent => parent.description).concat(description).join(' '),
+                    status: 'finished'
+                };
+                suites.push(suite);
+                add('suiteStarted', suite);
+            });
+
+            // the ids are unique in the merged results even if the runs have not defined the same specs
+            const id = 'spec' + index;
+            const attempts = (spec.previousAttempts || []).concat(spec);
+            const toSpecDone = attempt => ({
+                id: id,
+                description: spec.description,
+                fullName: spec.fullName,
+                status: attempt.status,
+                failedExpectations: attempt.failedExpectations || [],
+                timedOut: attempt.timedOut
+            });
+
+            add('specStarted', { id: id, description: spec.description, fullName: spec.fullName });
+            (spec.logs || []).forEach(entry => add('deviceLog', toDeviceLog(entry)));
+            time += attempts[0].duration || 0;
+            add('specDone', toSpecDone(attempts[0]));
+
+            attempts.slice(1).forEach((attempt) => {
+                add('specRetryStarted', { id: id });
+                time += attempt.duration || 0;
+                add('specRetryDone', toSpecDone(attempt));
+            });
+
+            if (isSpecRun(spec)) specExecuted++;
+            if (spec.status === 'failed') specFailed++;
+        });
+
+        closeSuites(0);
+        time = Math.max(time, finishedAt);
+        add('jasmineDone', { cordova: results[0].cordova, specResults: { specExecuted: specExecuted, specFailed: specFailed } });
+
+        return events;
+    }
+}
+
+module.exports = ParamedicResultsMerger;
@@ -398,7 +398,8 @@ class ParamedicSauceLabs {
             .then(() => {
                 // Build + "Upload" app
                 if (!this.isBrowser) {
-                    return this.buildApp()
+                    return this.runner.runPhase('build', () => this.buildApp())
+                        .then(() => this.runner.emit('buildFinished', { command: this.getCommandForBuilding() }))
                         .then(() => this.packageApp())
                         .then(() => this.uploadApp());
                 }
@@ -0,0 +1,59 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const { EventEmitter } = require('events');
+const { logger } = require('./utils');
+
+// Watches the specStarted/specDone events coming from the device
+// and emits 'specTimeout' for every spec that runs longer than allowed.
+class ParamedicSpecWatchdog extends EventEmitter {
+    constructor (server, specTimeout) {
+        super();
+
+        this.specTimeout = specTimeout;
+        this.timers = {};
+
+        server.on('specStarted', spec => this.startWatching(spec));
+        server.on('specDone', spec => this.stopWatching(spec));
+        server.on('jasmineDone', () => this.stop());
+    }
+
+    startWatching (spec) {
+        this.stopWatching(spec);
+
+        this.timers[spec.id] = setTimeout(() => {
+            delete this.timers[spec.id];
+
+            logger.warn('cordova-paramedic: spec "' + spec.fullName + '" timed out after ' + this.specTimeout + ' ms');
+            this.emit('specTimeout', spec);
+        }, this.specTimeout);
+    }
+
+    stopWatching (spec) {
+        clearTimeout(this.timers[spec.id]);
+        delete this.timers[spec.id];
+    }
+
+    stop () {
+        Object.keys(this.timers).forEach(id => clearTimeout(this.timers[id]));
+        this.timers = {};
+    }
+}
+
+module.exports = ParamedicSpecWatchdog;
@@ -65,11 +65,71 @@ class ParamedicTargetChooser {
         return this.startAnAndroidEmulator(target).then(emulatorId => ({ target: emulatorId }));
     }
 
+    // the ids of count Android devices, the listed targets or the emulators which are running and as many more as needed
+    chooseTargetsForAndroid (count, target) {
+        logger.info('cordova-paramedic: Choosing ' + count + ' Targets for Android');
+
+        if (target) {
+            const targets = target.split(',').map(id => id.trim()).filter(id => id);
+            if (targets.length < count) {
+                return Q.reject(new Error(count + ' Android targets are needed, only ' + targets.length + ' are defined: ' + target));
+            }
+
+            logger.info('cordova-paramedic: Targets defined as: ' + targets.slice(0, count).join(', '));
+            return Q(targets.slice(0, count).map(id => ({ target: id })));
+        }
+
+        const emulator = this.getAndroidEmulator();
+
+        return emulator.list_started()
+            .then((started) => {
+                started = started || [];
+                if (started.length >= count) {
+                    return started.slice(0, count);
+                }
+
+                // an image can't be booted twice, each emulator has to be started from another one
+                const runningImages = started.map(id => this.getAndroidImageName(id));
+                return emulator.list_images()
+                    .then((images) => {
+                        const names = images.map(image => image.name)
+                            .filter(name => runningImages.indexOf(name) < 0)
+                            .slice(0, count - started.length);
+
+                        if (started.length + names.length < count) {
+                            throw new Error(count + ' Android emulators are needed, only ' + (started.length + names.length) + ' can be started. Create more AVDs or list the devices with --target');
+                        }
+
+                        // one at a time, the emulator script picks the port of the new emulator among the free ones
+                        return names.reduce((promise, name) => promise.then((ids) => {
+                            logger.info('cordova-paramedic: Starting the Android emulator ' + name);
+                            return emulator.start(name, ANDROID_TIME_OUT)
+                                .then((emulatorId) => {
+                                    if (!emulatorId) {
+                                        throw new Error('Could not start the Android emulator ' + name);
+                                    }
+                                    return ids.concat(emulatorId);
+                                });
+                        }), Q(started));
+                    });
+            })
+            .then(ids => ids.map(id => ({ target: id })));
+    }
+
+    getAndroidImageName (emulatorId) {
+        const result = exec('adb -s ' + emulatorId + ' emu avd name');
+        return result.code === 0 ? result.output.split(/\r?\n/)[0].trim() : null;
+    }
+
+    getAndroidEmulator () {
+        const emuPath = path.join(this.appPath, 'platforms', 'android', 'cordova', 'lib', 'emulator');
+        return require(emuPath);
+    }
+
     startAnAndroidEmulator (target) {
         logger.info('cordova-paramedic: Starting an Android emulator');
 
-        const emuPath = path.join(this.appPath, 'platforms', 'android', 'cordova', 'lib', 'emulator');
-        const emulator = require(emuPath);
+        const emulator = this.getAndroidEmulator();
 
         const tryStart = (numberTriesRemaining) => {
             return emulator.start(target, ANDROID_TIME_OUT)
@@ -0,0 +1,106 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { logger, utilities } = require('./utils');
+
+// how many ms to wait for more changes before reporting them, editors save several files at once
+const DEBOUNCE_DELAY = 500;
+
+/**
+ * Watches the plugin folders, their sub folders included, since recursive fs.watch is not available everywhere.
+ * Emits 'change' with the list of the changed files once the changes have settled.
+ */
+class ParamedicWatcher extends EventEmitter {
+    constructor (dirs, ignoredPaths) {
+        super();
+
+        this.dirs = dirs;
+        // e.g. the results and the app, when they are written inside a plugin folder
+        this.ignoredPaths = ignoredPaths || [];
+        this.watchers = {};
+        this.changedFiles = [];
+        this.timer = null;
+    }
+
+    start () {
+        this.dirs.forEach(dir => this.watchDir(dir));
+        logger.info('cordova-paramedic: watching ' + this.dirs.join(', ') + ' for changes, press Ctrl+C to stop');
+    }
+
+    isIgnored (filePath) {
+        return utilities.PLUGIN_IGNORED_DIRS.indexOf(path.basename(filePath)) >= 0 ||
+            this.ignoredPaths.some(ignoredPath => filePath === ignoredPath || filePath.indexOf(ignoredPath + path.sep) === 0);
+    }
+
+    watchDir (dir) {
+        if (this.watchers[dir] || this.isIgnored(dir)) return;
+
+        try {
+            this.watchers[dir] = fs.watch(dir, (eventType, fileName) => this.onChange(dir, fileName));
+        } catch (ex) {
+            logger.warn('cordova-paramedic: cannot watch ' + dir + ': ' + ex.message);
+            return;
+        }
+
+        fs.readdirSync(dir).forEach((name) => {
+            const subDir = path.join(dir, name);
+            if (fs.statSync(subDir).isDirectory()) {
+                this.watchDir(subDir);
+            }
+        });
+    }
+
+    onChange (dir, fileName) {
+        const filePath = fileName ? path.join(dir, fileName.toString()) : dir;
+        if (this.isIgnored(filePath)) return;
+
+        try {
+            if (fs.statSync(filePath).isDirectory()) {
+                this.watchDir(filePath);
+            }
+        } catch (ex) {
+            if (this.watchers[filePath]) {
+                this.watchers[filePath].close();
+                delete this.watchers[filePath];
+            }
+        }
+
+        if (this.changedFiles.indexOf(filePath) < 0) {
+            this.changedFiles.push(filePath);
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            const changedFiles = this.changedFiles;
+            this.changedFiles = [];
+            this.emit('change', changedFiles);
+        }, DEBOUNCE_DELAY);
+    }
+
+    stop () {
+        clearTimeout(this.timer);
+        Object.keys(this.watchers).forEach(dir => this.watchers[dir].close());
+        this.watchers = {};
+    }
+}
+
+module.exports = ParamedicWatcher;
@@ -17,77 +17,169 @@
     under the License.
 */
 
+const Q = require('q');
 const path = require('path');
 const fs = require('fs');
-const { logger, exec, utilities } = require('./utils');
+const { EventEmitter } = require('events');
+const { logger, exec, execPromise, utilities } = require('./utils');
 const { PluginInfoProvider } = require('cordova-common');
-const Server = require('./LocalServer');
 
-class PluginsManager {
+class PluginsManager extends EventEmitter {
     constructor (appRoot, storedCWD, config) {
+        super();
+
         this.appRoot = appRoot;
         this.storedCWD = storedCWD;
         this.config = config;
+        this.fingerprint = null;
+        this.fixtures = null;
+        this.requiredPlugins = [];
+    }
+
+    setFingerprint (fingerprint) {
+        this.fingerprint = fingerprint;
+    }
+
+    setFixtures (fixtures) {
+        this.fixtures = fixtures;
     }
 
     installPlugins (plugins) {
-        for (let n = 0; n < plugins.length; n++) {
-            this.installSinglePlugin(plugins[n]);
-        }
+        // plugins are installed one after another, cordova can't handle parallel installs
+        return plugins.reduce((promise, plugin) => promise.then(() => this.installSinglePlugin(plugin)), Q());
     }
 
     installTestsForExistingPlugins () {
         const installedPlugins = new PluginInfoProvider().getAllWithinSearchPath(path.join(this.appRoot, 'plugins'));
 
-        installedPlugins.forEach((plugin) => {
-            // there is test plugin available
-            if (fs.existsSync(path.join(plugin.dir, 'tests', 'plugin.xml'))) {
-                let additionalArgs = '';
-
-                // special handling for cordova-plugin-file-transfer
-                if (plugin.id.indexOf('cordova-plugin-file-transfer') >= 0) {
-                    if (this.config.getFileTransferServer()) {
-                        // user specified a file transfer server address, so using it
-                        additionalArgs += ' --variable FILETRANSFER_SERVER_ADDRESS=' + this.config.getFileTransferServer();
-                    } else {
-                        // no server address specified, starting a local server
-                        const server = new Server(0, this.config.getExternalServerUrl());
-                        const fileServerUrl = server.getConnectionAddress(this.config.getPlatformId()) + ':5000';
-                        additionalArgs += ' --variable FILETRANSFER_SERVER_ADDRESS=' + fileServerUrl;
+        const pluginsWithTests = installedPlugins.filter(plugin => fs.existsSync(path.join(plugin.dir, 'tests', 'plugin.xml')));
+
+        return (this.fixtures ? this.fixtures.start(pluginsWithTests) : Q())
+            .then(() => {
+                const testPlugins = [];
+                installedPlugins.forEach((plugin) => {
+                    const testPlugin = this.getTestPlugin(plugin);
+                    if (testPlugin) {
+                        testPlugins.push(testPlugin);
                     }
-                }
+                });
+
+                return this.installPlugins(testPlugins);
+            })
+            .then(() => {
+                // this will list installed plugins and their versions
+                this.showPluginsVersions();
+            });
+    }
 
-                this.installSinglePlugin(path.join(plugin.dir, 'tests') + additionalArgs);
-            }
-        });
+    // the tests sub-plugin of an installed plugin along with its install args, null if there is none
+    getTestPlugin (plugin) {
+        if (!fs.existsSync(path.join(plugin.dir, 'tests', 'plugin.xml'))) {
+            return null;
+        }
+
+        // the addresses of the fixture servers, e.g. the file transfer server of cordova-plugin-file-transfer
+        const additionalArgs = this.fixtures ? this.fixtures.getVariableArgs(plugin) : '';
 
-        // this will list installed plugins and their versions
-        this.showPluginsVersions();
+        return path.join(plugin.dir, 'tests') + additionalArgs;
     }
 
-    installSinglePlugin (plugin) {
+    resolvePlugin (plugin) {
         let pluginPath = plugin;
         let args = '';
 
-        // separate plugin name from args
         const argsIndex = plugin.indexOf(' --');
         if (argsIndex > 0) {
             pluginPath = plugin.substring(0, argsIndex);
             args = plugin.substring(argsIndex);
         }
 
-        if (fs.existsSync(path.resolve(this.storedCWD, pluginPath))) {
-            plugin = path.resolve(this.storedCWD, pluginPath) + args;
-        }
+        const localPath = path.resolve(this.storedCWD, pluginPath);
+        return {
+            pluginPath: pluginPath,
+            localPath: fs.existsSync(localPath) ? localPath : null,
+            args: args
+        };
+    }
+
+    getCommandForInstalling (plugin) {
+        const resolved = this.resolvePlugin(plugin);
+        return this.config.getCli() + ' plugin add ' + (resolved.localPath || resolved.pluginPath) + resolved.args +
+            utilities.PARAMEDIC_COMMON_CLI_ARGS + utilities.PARAMEDIC_PLUGIN_ADD_ARGS;
+    }
+
+    installSinglePlugin (plugin) {
+        const resolved = this.resolvePlugin(plugin);
+        const spec = (resolved.localPath || resolved.pluginPath) + resolved.args;
 
-        plugin += utilities.PARAMEDIC_COMMON_CLI_ARGS + utilities.PARAMEDIC_PLUGIN_ADD_ARGS;
-        logger.normal('cordova-paramedic: installing plugin ' + plugin);
+        if (this.fingerprint) {
+            this.requiredPlugins.push(spec);
+            const hash = this.fingerprint.hashPlugin(spec, resolved.localPath);
 
-        const plugAddCmd = exec(this.config.getCli() + ' plugin add ' + plugin);
-        if (plugAddCmd.code !== 0) {
-            logger.error('Failed to install plugin : ' + plugin);
-            throw new Error('Failed to install plugin : ' + plugin);
+            if (this.fingerprint.isPluginUpToDate(spec, hash)) {
+                logger.normal('cordova-paramedic: plugin ' + spec + ' is up to date');
+                this.emit('pluginInstalled', { plugin: resolved.pluginPath, reused: true });
+                return Q();
+            }
+
+            return this.uninstallPlugin(spec)
+                .then(() => {
+                    const installedBefore = this.getInstalledPlugins().map(installed => installed.id);
+                    return this.installPluginFromSpec(plugin, spec, resolved)
+                        .then(() => {
+                            this.fingerprint.setPlugin(spec, hash, this.getNewlyInstalledPluginId(installedBefore));
+                            this.fingerprint.save();
+                        });
+                });
         }
+
+        return this.installPluginFromSpec(plugin, spec, resolved);
+    }
+
+    installPluginFromSpec (plugin, spec, resolved) {
+        logger.normal('cordova-paramedic: installing plugin ' + spec);
+
+        return execPromise(this.getCommandForInstalling(plugin))
+            .then(() => {
+                this.emit('pluginInstalled', { plugin: resolved.pluginPath });
+            }, () => {
+                logger.error('Failed to install plugin : ' + plugin);
+                throw new Error('Failed to install plugin : ' + plugin);
+            });
+    }
+
+    uninstallPlugin (spec) {
+        const id = this.fingerprint.getPluginId(spec);
+        this.fingerprint.removePlugin(spec);
+        this.fingerprint.save();
+
+        if (!id) return Q();
+
+        logger.normal('cordova-paramedic: uninstalling the previous version of plugin ' + spec);
+        // forced since a tests sub-plugin may depend on it, the dependencies nothing else needs are removed by cordova
+        return execPromise(this.config.getCli() + ' plugin rm ' + id + ' --force' + utilities.PARAMEDIC_COMMON_CLI_ARGS)
+            .fail(() => {
+                logger.warn('cordova-paramedic: failed to uninstall plugin ' + spec + ', installing it anyway');
+            });
+    }
+
+    uninstallStalePlugins () {
+        const stalePlugins = this.fingerprint.getPluginSpecs().filter(spec => this.requiredPlugins.indexOf(spec) < 0);
+        return stalePlugins.reduce((promise, spec) => promise.then(() => this.uninstallPlugin(spec)), Q());
+    }
+
+    getNewlyInstalledPluginId (installedBefore) {
+        const newPlugins = new PluginInfoProvider().getAllWithinSearchPath(path.join(this.appRoot, 'plugins'))
+            .filter(plugin => installedBefore.indexOf(plugin.id) < 0);
+        const dependencies = [].concat.apply([], newPlugins.map(plugin => plugin.getDependencies().map(dependency => dependency.id)));
+        const plugin = newPlugins.find(newPlugin => dependencies.indexOf(newPlugin.id) < 0);
+
+        return plugin ? plugin.id : null;
+    }
+
+    getInstalledPlugins () {
+        return new PluginInfoProvider().getAllWithinSearchPath(path.join(this.appRoot, 'plugins'))
+            .map(plugin => ({ id: plugin.id, version: plugin.version }));
     }
 
     showPluginsVersions () {
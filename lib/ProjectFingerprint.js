@@ -0,0 +1,123 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { utilities } = require('./utils');
+
+const FINGERPRINT_FILE_NAME = '.paramedic-fingerprint.json';
+
+function hashDirectory (hash, dir, relativeDir) {
+    fs.readdirSync(dir).sort().forEach((name) => {
+        const filePath = path.join(dir, name);
+        const relativePath = path.join(relativeDir, name);
+        const stat = fs.statSync(filePath);
+
+        if (stat.isDirectory()) {
+            if (utilities.PLUGIN_IGNORED_DIRS.indexOf(name) < 0) {
+                hashDirectory(hash, filePath, relativePath);
+            }
+        } else {
+            hash.update(relativePath + '\0');
+            hash.update(fs.readFileSync(filePath));
+            hash.update('\0');
+        }
+    });
+}
+
+/**
+ * What a reusable test project has been prepared from: the CLI version, the platform spec and
+ * the plugins with the hashes of their content. It is kept in the project folder so that
+ * the next run only redoes the steps whose inputs have changed.
+ */
+class ProjectFingerprint {
+    constructor (projectDir) {
+        this.projectDir = projectDir;
+        this.file = path.join(projectDir, FINGERPRINT_FILE_NAME);
+        this.data = null;
+
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+        } catch (ex) {
+        }
+    }
+
+    exists () {
+        return !!this.data;
+    }
+
+    // the project can only be reused with the CLI it has been created with
+    canReuse (cliVersion) {
+        return this.exists() && this.data.cliVersion === cliVersion && fs.existsSync(path.join(this.projectDir, 'config.xml'));
+    }
+
+    reset (cliVersion) {
+        this.data = { cliVersion: cliVersion, platform: null, plugins: {} };
+    }
+
+    // a remote plugin is identified by its spec, a local one by its content too
+    hashPlugin (spec, localPath) {
+        if (!localPath) return spec;
+
+        const hash = crypto.createHash('sha1');
+        if (fs.statSync(localPath).isDirectory()) {
+            hashDirectory(hash, localPath, '');
+        } else {
+            hash.update(fs.readFileSync(localPath));
+        }
+        return 'sha1:' + hash.digest('hex');
+    }
+
+    isPluginUpToDate (spec, hash) {
+        return !!this.data.plugins[spec] && this.data.plugins[spec].hash === hash;
+    }
+
+    getPluginSpecs () {
+        return Object.keys(this.data.plugins);
+    }
+
+    getPluginId (spec) {
+        return this.data.plugins[spec] ? this.data.plugins[spec].id : null;
+    }
+
+    setPlugin (spec, hash, id) {
+        this.data.plugins[spec] = { hash: hash, id: id };
+    }
+
+    removePlugin (spec) {
+        delete this.data.plugins[spec];
+    }
+
+    getPlatform () {
+        return this.data.platform;
+    }
+
+    setPlatform (platform) {
+        this.data.platform = platform;
+    }
+
+    save () {
+        fs.writeFileSync(this.file, JSON.stringify(this.data, null, 4));
+    }
+}
+
+ProjectFingerprint.FINGERPRINT_FILE_NAME = FINGERPRINT_FILE_NAME;
+
+module.exports = ProjectFingerprint;
@@ -17,8 +17,64 @@
     under the License.
 */
 
+const fs = require('fs');
+const path = require('path');
+const shell = require('shelljs');
 const JasmineSpecReporter = require('jasmine-spec-reporter');
 const jasmineReporters = require('jasmine-reporters');
+const { logger } = require('./utils');
+
+const JSON_RESULTS_FILE_NAME = 'paramedic-results.json';
+const REPORTED_EVENTS = [
+    'deviceInfo',
+    'deviceLog',
+    'jasmineStarted',
+    'specStarted',
+    'specDone',
+    'suiteStarted',
+    'suiteDone',
+    'jasmineDone',
+    'specRetryStarted',
+    'specRetryDone'
+];
+// device console output of these levels goes to <system-err> in JUnit results, the rest to <system-out>
+const STDERR_LOG_LEVELS = ['warn', 'error'];
+// placeholder for the device console output of a spec, replaced when the JUnit results are written
+const SYSTEM_OUT_PLACEHOLDER = 'paramedic-device-output:';
+// the time of a testcase along with the placeholder of its spec
+const TESTCASE_TIME_WITH_PLACEHOLDER = new RegExp('(<testcase [^>]*time=")[^"]*("[^>]*>(?:(?!</testcase>)[\\s\\S])*?<system-out>' + SYSTEM_OUT_PLACEHOLDER + '(.*?)</system-out>)', 'g');
+// the failures written by jasmine-reporters which precede the placeholder of a spec
+const FAILURES_WITH_PLACEHOLDER = new RegExp('((?:\\s*<failure [\\s\\S]*?</failure>)*)(\\s*)<system-out>' + SYSTEM_OUT_PLACEHOLDER + '(.*?)</system-out>', 'g');
+
+// the colors of a terminal and the characters XML 1.0 doesn't allow, both end up in the console output of the device
+const ANSI_ESCAPES = /\u001b\[[0-9;]*[A-Za-z]/g; // eslint-disable-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g; // eslint-disable-line no-control-regex
+
+function removeInvalidXmlChars (text) {
+    return text.replace(ANSI_ESCAPES, '').replace(INVALID_XML_CHARS, '\uFFFD');
+}
+
+function escapeXml (text) {
+    return removeInvalidXmlChars(String(text))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// the way surefire reports the failures of rerun tests
+function formatFailure (element, expectation) {
+    return '<' + element + ' message="' + escapeXml(expectation.message) + '">' +
+        escapeXml(expectation.stack || expectation.message) + '</' + element + '>';
+}
+
+function formatShard (shard) {
+    return (shard.index + 1) + '/' + shard.count;
+}
+
+function formatLogEntry (entry) {
+    return '[' + new Date(entry.timestamp).toISOString() + '] ' + entry.type + ': ' + entry.message;
+}
 
 class ParamedicReporter {
     constructor (callback) {
@@ -39,14 +95,400 @@ class ParamedicReporter {
     }
 }
 
-const getReporters = function (outputDir) {
+// Collects the results of a test run into a plain object
+class ResultsReporter {
+    constructor () {
+        this.suites = [];
+        this.suiteStack = [];
+        this.specStartTimes = {};
+        this.runningSpecId = null;
+        this.specLogs = {};
+        this.specResults = {};
+        this.logs = [];
+        // flaky specs are the ones which have passed on a retry, they are counted as passed too
+        this.summary = { total: 0, passed: 0, failed: 0, pending: 0, disabled: 0, flaky: 0 };
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.cordova = null;
+        this.eventTime = null;
+    }
+
+    now () {
+        return this.eventTime || Date.now();
+    }
+
+    jasmineStarted () {
+        this.startedAt = this.now();
+    }
+
+    suiteStarted (suite) {
+        const result = {
+            id: suite.id,
+            description: suite.description,
+            fullName: suite.fullName,
+            status: null,
+            startedAt: this.now(),
+            duration: null,
+            specs: [],
+            suites: []
+        };
+
+        const parent = this.suiteStack[this.suiteStack.length - 1];
+        (parent ? parent.suites : this.suites).push(result);
+        this.suiteStack.push(result);
+    }
+
+    specStarted (spec) {
+        this.specStartTimes[spec.id] = this.now();
+        this.runningSpecId = spec.id;
+        this.specLogs[spec.id] = [];
+    }
+
+    deviceLog (data) {
+        const entry = {
+            type: data.type,
+            // older versions of the device plugin send neither the level nor the timestamp
+            level: data.level || data.type,
+            message: (data.msg || []).map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '),
+            timestamp: data.timestamp || this.now()
+        };
+
+        if (this.runningSpecId !== null) {
+            this.specLogs[this.runningSpecId].push(entry);
+        } else {
+            this.logs.push(entry);
+        }
+    }
+
+    specDone (spec) {
+        const startedAt = this.specStartTimes[spec.id];
+        const result = {
+            id: spec.id,
+            description: spec.description,
+            fullName: spec.fullName,
+            status: spec.status,
+            duration: startedAt ? this.now() - startedAt : null,
+            failedExpectations: (spec.failedExpectations || []).map(expectation => ({
+                message: expectation.message,
+                stack: expectation.stack
+            })),
+            logs: this.specLogs[spec.id] || []
+        };
+
+        if (this.runningSpecId === spec.id) {
+            this.runningSpecId = null;
+        }
+
+        if (spec.timedOut) {
+            result.timedOut = true;
+        }
+
+        this.specResults[spec.id] = result;
+
+        const suite = this.suiteStack[this.suiteStack.length - 1];
+        if (suite) {
+            suite.specs.push(result);
+        }
+
+        this.summary.total++;
+        if (this.summary.hasOwnProperty(spec.status)) {
+            this.summary[spec.status]++;
+        }
+    }
+
+    specRetryStarted (spec) {
+        this.specStartTimes[spec.id] = this.now();
+        this.runningSpecId = spec.id;
+    }
+
+    // the failed attempts are kept in previousAttempts, the result reflects the last one
+    specRetryDone (spec) {
+        const result = this.specResults[spec.id];
+        if (!result) return;
+
+        if (this.runningSpecId === spec.id) {
+            this.runningSpecId = null;
+        }
+
+        result.previousAttempts = (result.previousAttempts || []).concat({
+            status: result.status,
+            duration: result.duration,
+            failedExpectations: result.failedExpectations
+        });
+        result.attempts = result.previousAttempts.length + 1;
+
+        const startedAt = this.specStartTimes[spec.id];
+        result.duration = startedAt ? this.now() - startedAt : null;
+        result.failedExpectations = (spec.failedExpectations || []).map(expectation => ({
+            message: expectation.message,
+            stack: expectation.stack
+        }));
+        delete result.timedOut;
+        if (spec.timedOut) {
+            result.timedOut = true;
+        }
+
+        if (result.status === 'failed' && spec.status === 'passed') {
+            result.flaky = true;
+            this.summary.failed--;
+            this.summary.passed++;
+            this.summary.flaky++;
+        }
+        result.status = spec.status;
+    }
+
+    suiteDone (suite) {
+        const result = this.suiteStack.pop();
+        if (result) {
+            result.status = suite.status;
+            result.duration = this.now() - result.startedAt;
+        }
+    }
+
+    jasmineDone (data) {
+        this.finishedAt = this.now();
+        this.cordova = (data && data.cordova) || null;
+    }
+
+    getResults () {
+        return {
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            cordova: this.cordova,
+            summary: this.summary,
+            suites: this.suites,
+            logs: this.logs
+        };
+    }
+
+    getSpecs () {
+        const specs = [];
+        const collect = (suites, suitePath) => {
+            suites.forEach((suite) => {
+                const specSuitePath = suitePath.concat(suite.description);
+                suite.specs.forEach((spec) => {
+                    specs.push(Object.assign({ suite: suite.fullName, suitePath: specSuitePath }, spec));
+                });
+                collect(suite.suites, specSuitePath);
+            });
+        };
+
+        collect(this.suites, []);
+        return specs;
+    }
+}
+
+// Writes the results of a test run to paramedic-results.json
+class JsonReporter extends ResultsReporter {
+    constructor (outputDir, plugins, shard) {
+        super();
+
+        this.outputDir = outputDir;
+        this.plugins = plugins || [];
+        this.device = null;
+        this.shard = shard ? formatShard(shard) : null;
+        this.mergedShards = null;
+    }
+
+    deviceInfo (device) {
+        this.device = device;
+    }
+
+    jasmineDone (data) {
+        super.jasmineDone(data);
+
+        const results = {
+            device: this.device,
+            cordova: this.cordova,
+            plugins: this.plugins,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            duration: this.startedAt ? this.finishedAt - this.startedAt : null,
+            summary: this.summary,
+            specs: this.getSpecs(),
+            logs: this.logs
+        };
+        if (this.shard) {
+            results.shard = this.shard;
+        }
+        if (this.mergedShards) {
+            results.mergedShards = this.mergedShards;
+        }
+
+        const resultsFile = path.join(this.outputDir, JSON_RESULTS_FILE_NAME);
+        try {
+            shell.mkdir('-p', this.outputDir);
+            fs.writeFileSync(resultsFile, JSON.stringify(results, null, 4));
+            logger.info('cordova-paramedic: JSON results are written to: ' + resultsFile);
+        } catch (ex) {
+            logger.error('cordova-paramedic: cannot write the JSON results to the file. ' + ex);
+        }
+    }
+}
+
+// JUnit XML results with the device console output of every spec in <system-out> and <system-err>
+class JUnitReporter extends ResultsReporter {
+    constructor (outputDir, shard) {
+        super();
+
+        this.junitXmlReporter = new jasmineReporters.JUnitXmlReporter({
+            savePath: outputDir,
+            // the files of the CI jobs running the other slices of the suites don't collide
+            filePrefix: shard ? 'junitresults-shard' + formatShard(shard).replace('/', 'of') + '-' : undefined,
+            consolidateAll: false,
+            systemOut: spec => SYSTEM_OUT_PLACEHOLDER + spec.id
+        });
+
+        const writeFile = this.junitXmlReporter.writeFile;
+        this.junitXmlReporter.writeFile = (filename, text) => {
+            writeFile.call(this.junitXmlReporter, filename, this.insertDeviceOutput(text));
+        };
+    }
+
+    insertDeviceOutput (text) {
+        // jasmine-reporters measures the times of the replay when recorded events are replayed, the recorded ones are used instead
+        if (this.eventTime) {
+            text = text.replace(TESTCASE_TIME_WITH_PLACEHOLDER, (match, start, rest, specId) => {
+                const result = this.specResults[specId];
+                return start + (result && result.duration ? result.duration / 1000 : 0) + rest;
+            });
+        }
+
+        text = text.replace(FAILURES_WITH_PLACEHOLDER, (match, failures, indent, specId) => {
+            const logs = this.specLogs[specId] || [];
+            const stdout = logs.filter(entry => STDERR_LOG_LEVELS.indexOf(entry.level) < 0).map(formatLogEntry);
+            const stderr = logs.filter(entry => STDERR_LOG_LEVELS.indexOf(entry.level) >= 0).map(formatLogEntry);
+
+            let output = this.formatRetriedFailures(specId, indent) || failures;
+            output += indent + '<system-out>' + escapeXml(stdout.join('\n')) + '</system-out>';
+            if (stderr.length > 0) {
+                output += indent + '<system-err>' + escapeXml(stderr.join('\n')) + '</system-err>';
+            }
+            return output;
+        });
+
+        // jasmine-reporters only removes the escape character from the failure messages
+        return removeInvalidXmlChars(this.updateFailureCounts(text));
+    }
+
+    // failures of the last attempt of a retried spec, and its earlier ones as flakyFailure or rerunFailure
+    formatRetriedFailures (specId, indent) {
+        const result = this.specResults[specId];
+        if (!result || !result.previousAttempts) return null;
+
+        const element = result.status === 'passed' ? 'flakyFailure' : 'rerunFailure';
+        let output = '';
+
+        if (result.status === 'failed') {
+            output += result.failedExpectations.map(expectation => indent + formatFailure('failure', expectation)).join('');
+        }
+        result.previousAttempts.forEach((attempt) => {
+            output += attempt.failedExpectations.map(expectation => indent + formatFailure(element, expectation)).join('');
+        });
+
+        return output;
+    }
+
+    // the failures of the suites have been counted by jasmine-reporters before the specs were retried,
+    // their times are the ones of the replay when recorded events are replayed
+    updateFailureCounts (text) {
+        let total = 0;
+        let totalTime = 0;
+
+        text = text.replace(/<testsuite ([^>]*)>([\s\S]*?)<\/testsuite>/g, (match, attributes, body) => {
+            const failures = (body.match(/<failure /g) || []).length;
+            total += failures;
+            attributes = attributes.replace(/failures="\d+"/, 'failures="' + failures + '"');
+
+            if (this.eventTime) {
+                const time = (body.match(/<testcase [^>]*time="[^"]*"/g) || [])
+                    .reduce((sum, testcase) => sum + (Number(/time="([^"]*)"/.exec(testcase)[1]) || 0), 0);
+                attributes = attributes.replace(/time="[^"]*"/, 'time="' + Math.round(time * 1000) / 1000 + '"');
+                totalTime += time;
+            }
+            return '<testsuite ' + attributes + '>' + body + '</testsuite>';
+        });
+
+        text = text.replace(/(<testsuites [^>]*)failures="\d+"/, '$1failures="' + total + '"');
+        return this.eventTime ? text.replace(/(<testsuites [^>]*)time="[^"]*"/, '$1time="' + Math.round(totalTime * 1000) / 1000 + '"') : text;
+    }
+
+    jasmineStarted (data) {
+        super.jasmineStarted(data);
+        this.junitXmlReporter.jasmineStarted(data);
+    }
+
+    suiteStarted (suite) {
+        super.suiteStarted(suite);
+        this.junitXmlReporter.suiteStarted(suite);
+    }
+
+    specStarted (spec) {
+        super.specStarted(spec);
+        this.junitXmlReporter.specStarted(spec);
+    }
+
+    specDone (spec) {
+        super.specDone(spec);
+        this.junitXmlReporter.specDone(spec);
+    }
+
+    suiteDone (suite) {
+        super.suiteDone(suite);
+        this.junitXmlReporter.suiteDone(suite);
+    }
+
+    jasmineDone (data) {
+        super.jasmineDone(data);
+        this.junitXmlReporter.jasmineDone(data);
+    }
+}
+
+// Records the events dispatched to the reporters along with their time, so that they could be replayed later
+class EventsReporter {
+    constructor () {
+        this.events = [];
+    }
+}
+
+REPORTED_EVENTS.forEach((route) => {
+    EventsReporter.prototype[route] = function (data) {
+        this.events.push({ route: route, data: data, time: Date.now() });
+    };
+});
+
+// the results of the next events are reported at the given time, null to go back to the current time
+const setEventTime = function (reporters, time) {
+    reporters.forEach((reporter) => {
+        if (reporter instanceof ResultsReporter) {
+            reporter.eventTime = time;
+        }
+    });
+};
+
+// dispatches recorded events to the reporters, the results keep the times the events were recorded at
+const replayEvents = function (reporters, events) {
+    events.forEach((event) => {
+        setEventTime(reporters, event.time);
+        reporters.forEach((reporter) => {
+            if (reporter[event.route] instanceof Function) {
+                reporter[event.route](event.data);
+            }
+        });
+    });
+
+    setEventTime(reporters, null);
+};
+
+const getReporters = function (outputDir, plugins, shard) {
     let reporters = [new JasmineSpecReporter({ displayPendingSummary: false, displaySuiteNumber: true })];
 
     if (outputDir) {
-        reporters.push(new jasmineReporters.JUnitXmlReporter({ savePath: outputDir, consolidateAll: false }));
+        reporters.push(new JUnitReporter(outputDir, shard));
+        reporters.push(new JsonReporter(outputDir, plugins, shard));
     }
 
     return reporters;
 };
 
-module.exports = { ParamedicReporter, getReporters };
+module.exports = { ParamedicReporter, ResultsReporter, JsonReporter, JUnitReporter, EventsReporter, getReporters, replayEvents, setEventTime, JSON_RESULTS_FILE_NAME };
@@ -23,6 +23,7 @@ const Server = require('./LocalServer');
 const path = require('path');
 const Q = require('q');
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const { logger, exec, execPromise, utilities } = require('./utils');
 const Reporters = require('./Reporters');
 const ParamedicKill = require('./ParamedicKill');
@@ -32,53 +33,123 @@ const ParamediciOSPermissions = require('./ParamediciOSPermissions');
 const ParamedicTargetChooser = require('./ParamedicTargetChooser');
 const ParamedicAppUninstall = require('./ParamedicAppUninstall');
 const ParamedicApp = require('./ParamedicApp');
+const PluginsManager = require('./PluginsManager');
+const ParamedicHtmlReport = require('./ParamedicHtmlReport');
 const ParamedicSauceLabs = require('./ParamedicSauceLabs');
+const ParamedicSpecWatchdog = require('./ParamedicSpecWatchdog');
+const ParamedicWatcher = require('./ParamedicWatcher');
+const ParamedicConfig = require('./ParamedicConfig');
+const ParamedicEventRecorder = require('./ParamedicEventRecorder');
+const ParamedicReplayServer = require('./ParamedicReplayServer');
+const ParamedicMockDevice = require('./ParamedicMockDevice');
+const ParamedicFixtures = require('./ParamedicFixtures');
 
 // this will add custom promise chain methods to the driver prototype
 require('./appium/helpers/wdHelper');
 
-// Time to wait for initial device connection.
-// If device has not connected within this interval the tests are stopped.
-const INITIAL_CONNECTION_TIMEOUT = 540000; // 9mins
+const REPORTER_EVENTS = [
+    'deviceInfo',
+    'deviceLog',
+    'jasmineStarted',
+    'specStarted',
+    'specDone',
+    'suiteStarted',
+    'suiteDone',
+    'jasmineDone'
+];
 
 Q.longStackSupport = true;
 
-class ParamedicRunner {
-    constructor (config) {
+/**
+ * Runs the tests of the configured plugins.
+ *
+ * Emits the following events while running:
+ * projectCreated, pluginInstalled, platformAdded, buildFinished, deviceConnected, specDone, specRetried, runFinished
+ */
+class ParamedicRunner extends EventEmitter {
+    constructor (config, storedCWD) {
+        super();
+
         this.tempFolder = null;
         this.config = config;
+        this.storedCWD = storedCWD || process.cwd();
         this.targetObj = undefined;
         this.paramedicSauceLabs = null;
+        this.specWatchdog = null;
+        this.isRelaunchingApp = false;
+        this.resultsReporter = null;
+        // specs which have failed in their last attempt, by id
+        this.failedSpecs = {};
+        this.retriedSpecs = {};
+        this.retryAttempt = 0;
+        this.pendingJasmineDone = null;
+        this.phaseTimings = {};
+        this.logFiles = [];
+        this.shard = null;
+        this.buildQueue = null;
+        this.eventsReporter = null;
+        this.shardRunners = null;
+        this.eventRecorder = null;
+        this.recording = null;
+        this.mockDevices = null;
+        this.device = null;
+        this.deviceRunners = null;
+        this.fixtures = null;
 
         exec.setVerboseLevel(config.isVerbose());
     }
 
     run () {
-        let isTestPassed = false; // eslint-disable-line
+        let isTestPassed = false;
+        const startedAt = Date.now();
 
         this.checkConfig();
 
-        return Q().then(() => {
-            // create project and prepare (install plugins, setup test startpage, install platform, check platform requirements)
-            const paramedicApp = new ParamedicApp(this.config, this.storedCWD, this);
-            this.tempFolder = paramedicApp.createTempProject();
-            shell.pushd(this.tempFolder.name);
-            return paramedicApp.prepareProjectToRunTests();
+        // create project and prepare (install plugins, setup test startpage, install platform, check platform requirements)
+        const paramedicApp = new ParamedicApp(this.config, this.storedCWD, this);
+
+        return this.runPhase('projectCreate', () => {
+            const projectCreated = paramedicApp.createTempProject();
+            // the folder is known right away so that it could be cleaned up even if creation fails
+            this.tempFolder = paramedicApp.tempFolder;
+            return projectCreated;
         })
             .then(() => {
-                if (this.config.runMainTests()) {
+                this.emit('projectCreated', { path: this.tempFolder.name });
+                shell.pushd(this.tempFolder.name);
+                return this.runPhase('pluginInstall', () => paramedicApp.installPlugins());
+            })
+            .then(() => {
+                paramedicApp.setUpStartPage();
+                return this.runPhase('platformAdd', () => paramedicApp.installPlatform()
+                    .then(() => paramedicApp.checkPlatformRequirements()));
+            })
+            .then(() => {
+                this.emit('platformAdded', { platform: this.config.getPlatform() });
+
+                if (this.config.runMainTests() && this.config.getShards() === 1) {
                 // start server
                     const noListener = (this.config.getPlatformId() === utilities.BROWSER) && this.config.shouldUseSauce();
                     return Server.startServer(this.config.getPorts(), this.config.getExternalServerUrl(), this.config.getUseTunnel(), noListener);
                 }
             })
             .then((server) => {
+                if (this.config.getShards() > 1) {
+                    return this.runShards();
+                }
+
                 if (this.config.runMainTests()) {
                     // configure server usage
                     this.server = server;
 
-                    this.injectReporters();
-                    this.subcribeForEvents();
+                    if (this.config.getRecordEvents()) {
+                        this.recordEvents();
+                    }
+                    if (this.config.getDevices() === 1) {
+                        this.injectReporters();
+                        this.subcribeForEvents();
+                        this.startSpecWatchdog();
+                    }
 
                     const logUrl = this.server.getConnectionUrl(this.config.getPlatformId());
                     this.writeMedicJson(logUrl);
@@ -88,14 +159,25 @@ class ParamedicRunner {
                 // run tests
                 return this.runTests();
             })
+            .then((result) => {
+                isTestPassed = result;
+            })
             .timeout(this.config.getTimeout(), 'Timed out after waiting for ' + this.config.getTimeout() + ' ms.')
+            .then(() => {
+                // the whole run is not limited by --timeout in watch mode, only each iteration is
+                if (this.config.isWatch()) {
+                    return this.watchPlugins(paramedicApp, isTestPassed)
+                        .then((result) => {
+                            isTestPassed = result;
+                        });
+                }
+            })
             .catch((error) => {
                 logger.error(error);
                 console.log(error.stack);
                 throw new Error(error);
             })
-            .fin((result) => {
-                isTestPassed = result;
+            .fin(() => {
                 logger.normal('Completed tests at ' + (new Date()).toLocaleTimeString());
 
                 // If we run --shouldUseSauce immedatly fetch and return Sauce details.
@@ -103,10 +185,16 @@ class ParamedicRunner {
                     return this.paramedicSauceLabs.displaySauceDetails.apply(this.paramedicSauceLabs, [this.sauceBuildName]); // eslint-disable-line
                 }
 
+                if (this.mockDevices) {
+                    return Q.resolve();
+                }
+
                 // When --shouldUseSauce and --justbuild is not set, fetch logs from the device.
                 if (this.config.getAction() !== 'build') {
-                // collect logs and uninstall app
-                    this.collectDeviceLogs();
+                    // collect logs and uninstall app, the shards have collected the logs of their devices already
+                    if (!this.shardRunners) {
+                        this.collectDeviceLogs();
+                    }
                     return this.uninstallApp()
                         .fail(() => { /* do not fail if uninstall fails */ })
                         .fin(() => {
@@ -118,10 +206,115 @@ class ParamedicRunner {
                 return Q.resolve();
             })
             .fin(() => {
+                // the reporters are still waiting for the results if the run has failed while retrying
+                this.reportJasmineDone();
+                this.writeHtmlReport();
                 this.cleanUpProject();
+            })
+            .then(() => this.finishRun(startedAt, isTestPassed), (error) => {
+                this.finishRun(startedAt, false, error);
+                throw error;
+            });
+    }
+
+    replay (recording) {
+        let isTestPassed = false;
+        const startedAt = Date.now();
+
+        logger.info('cordova-paramedic: replaying ' + recording.events.length + ' recorded events');
+
+        this.recording = recording;
+        this.config.setPlatform(this.config.getPlatform() || recording.platform);
+        // the recording holds the retries of the run, the replay server doesn't pass the commands to any device
+        this.config.setRetries(recording.retries);
+        this.config.setRetryMode('session');
+        this.config.setReconnectTimeout(0);
+
+        this.server = new ParamedicReplayServer(recording.events);
+        this.server.on('disconnect', () => {
+            this.isRelaunchingApp = this.server.hasPendingEvents();
+        });
+        Server.DEVICE_EVENTS.concat('connection').forEach((route) => {
+            this.server.on(route, () => Reporters.setEventTime(this.reporters, this.server.eventTime));
+        });
+
+        this.injectReporters();
+        this.subcribeForEvents();
+
+        const testsDone = this.waitForTests();
+        this.server.start();
+
+        return testsDone
+            .then((result) => {
+                isTestPassed = result;
+            })
+            .fin(() => {
+                this.reportJasmineDone();
+                Reporters.setEventTime(this.reporters, null);
+                this.writeHtmlReport();
+            })
+            .then(() => this.finishRun(startedAt, isTestPassed), (error) => {
+                this.finishRun(startedAt, false, error);
+                throw error;
             });
     }
 
+    finishRun (startedAt, isTestPassed, error) {
+        const finishedAt = Date.now();
+        const result = {
+            passed: !!isTestPassed,
+            platform: this.config.getPlatform(),
+            plugins: this.config.getPlugins(),
+            target: this.targetObj || null,
+            timings: {
+                startedAt: startedAt,
+                finishedAt: finishedAt,
+                duration: finishedAt - startedAt,
+                phases: this.phaseTimings
+            },
+            logFiles: this.logFiles,
+            tests: this.resultsReporter ? this.resultsReporter.getResults() : null
+        };
+
+        if (this.deviceRunners) {
+            result.devices = this.deviceRunners.map(runner => ({
+                id: runner.server.id,
+                name: runner.server.getName(),
+                tests: runner.resultsReporter.getResults()
+            }));
+        }
+
+        if (error) {
+            result.error = error.message || String(error);
+        }
+
+        this.emit('runFinished', result);
+        return result;
+    }
+
+    runPhase (phase, fn) {
+        const startedAt = Date.now();
+        const runningBefore = exec.getRunningProcesses();
+
+        return Q().then(fn)
+            .timeout(this.config.getPhaseTimeout(phase), this.getPhaseTimeoutMessage(phase))
+            .catch((error) => {
+                if (!error || error.code !== 'ETIMEDOUT') throw error;
+
+                // the commands of the phase would go on in the project folder which is about to be deleted
+                const started = exec.getRunningProcesses().filter(child => runningBefore.indexOf(child) < 0);
+                return Q.all(started.map(child => Q.Promise(resolve => utilities.killProcess(child.pid, resolve))))
+                    .then(() => { throw error; });
+            })
+            .fin(() => {
+                this.phaseTimings[phase] = Date.now() - startedAt;
+            });
+    }
+
+    getPhaseTimeoutMessage (phase) {
+        return 'Phase "' + phase + '" timed out after ' + this.config.getPhaseTimeout(phase) + ' ms.';
+    }
+
     checkConfig () {
         if (this.config.shouldUseSauce()) {
             this.paramedicSauceLabs = new ParamedicSauceLabs(this.config, this);
@@ -130,6 +323,40 @@ class ParamedicRunner {
         if (!this.config.runMainTests() && !this.config.runAppiumTests()) {
             throw new Error('No tests to run: both --skipAppiumTests and --skipMainTests are used');
         }
+        if (this.config.isJustBuild() && this.config.getAction() !== 'build') {
+            throw new Error('--justbuild only builds the app, it can\'t be used with --action ' + this.config.getAction());
+        }
+        if (this.config.isWatch() && (this.config.shouldUseSauce() || !this.config.runMainTests() || !this.shouldWaitForTestResult())) {
+            throw new Error('--watch only reruns the main tests of an app run locally, it can\'t be used with --shouldUseSauce, --skipMainTests or --justbuild');
+        }
+        if (this.config.getMockDevice()) {
+            if (this.config.shouldUseSauce() || this.config.getShards() > 1 || !this.config.runMainTests() || !this.shouldWaitForTestResult()) {
+                throw new Error('--mockDevice stands in for a local device running the main tests, it can\'t be used with --shouldUseSauce, --shards, --skipMainTests or --justbuild');
+            }
+            const scenario = ParamedicMockDevice.readScenario(path.resolve(this.storedCWD, this.config.getMockDevice()));
+            this.mockDevices = [];
+            for (let index = 0; index < this.config.getDevices(); index++) {
+                this.mockDevices.push(new ParamedicMockDevice(scenario, index));
+            }
+        }
+        if (this.config.getDevices() > 1 && (this.config.shouldUseSauce() || this.config.getShards() > 1 || this.config.isWatch() ||
+            this.config.getRecordEvents() || !this.config.runMainTests() || !this.shouldWaitForTestResult())) {
+            throw new Error('--devices collects the results of the main tests run locally, it can\'t be used with --shouldUseSauce, --shards, --watch, --recordEvents, --skipMainTests or --justbuild');
+        }
+        if (this.config.getRecordEvents() && this.config.getShards() > 1) {
+            throw new Error('--recordEvents records the events of a single device, it can\'t be used with --shards');
+        }
+        if (this.config.getShards() > 1) {
+            if (this.config.getPlatformId() !== utilities.ANDROID || this.config.shouldUseSauce() || this.config.isWatch() ||
+                !this.config.runMainTests() || !this.shouldWaitForTestResult()) {
+                throw new Error('--shards only splits the main tests run locally on Android, it can\'t be used with other platforms, --shouldUseSauce, --watch, --skipMainTests or --justbuild');
+            }
+
+            const ports = this.config.getPorts();
+            if (ports.end - ports.start + 1 < this.config.getShards()) {
+                throw new Error('--shards ' + this.config.getShards() + ' needs at least as many ports between --startport and --endport');
+            }
+        }
 
         if (!['cordova', 'phonegap'].includes(this.config.getCli())) {
             if (!path.isAbsolute(this.config.getCli())) {
@@ -154,28 +381,512 @@ class ParamedicRunner {
         }
     }
 
+    recordEvents () {
+        const plugins = new PluginsManager(this.tempFolder.name, this.storedCWD, this.config).getInstalledPlugins();
+
+        this.eventRecorder = new ParamedicEventRecorder(path.resolve(this.storedCWD, this.config.getRecordEvents()));
+        this.eventRecorder.start(this.server, { platform: this.config.getPlatform(), plugins: plugins, retries: this.config.getRetries() });
+    }
+
     injectReporters () {
-        const reporters = Reporters.getReporters(this.config.getOutputDir());
-
-        [
-            'jasmineStarted',
-            'specStarted',
-            'specDone',
-            'suiteStarted',
-            'suiteDone',
-            'jasmineDone'
-        ].forEach((route) => {
-            reporters.forEach((reporter) => {
-                if (reporter[route] instanceof Function) {
-                    this.server.on(route, reporter[route].bind(reporter));
+        this.createReporters();
+
+        REPORTER_EVENTS.forEach((route) => {
+            this.server.on(route, (data) => this.report(route, data));
+        });
+    }
+
+    createReporters () {
+        this.resultsReporter = new Reporters.ResultsReporter();
+        if (this.device) {
+            const plugins = new PluginsManager(this.tempFolder.name, this.storedCWD, this.config).getInstalledPlugins();
+            this.reporters = Reporters.getReporters(this.config.getOutputDir(), plugins, this.config.getShard())
+                .filter(reporter => reporter instanceof Reporters.ResultsReporter)
+                .concat(this.resultsReporter);
+        } else if (this.shard) {
+            this.eventsReporter = new Reporters.EventsReporter();
+            this.reporters = [this.resultsReporter, this.eventsReporter];
+        } else {
+            const plugins = this.recording
+                ? this.recording.plugins
+                : new PluginsManager(this.tempFolder.name, this.storedCWD, this.config).getInstalledPlugins();
+            this.reporters = Reporters.getReporters(this.config.getOutputDir(), plugins, this.config.getShard()).concat(this.resultsReporter);
+        }
+        this.reportedEvents = { suiteStarted: {}, suiteDone: {}, specStarted: {}, specDone: {} };
+        this.hasJasmineStarted = false;
+        this.failedSpecs = {};
+        this.retriedSpecs = {};
+        this.retryAttempt = 0;
+        this.pendingJasmineDone = null;
+    }
+
+    report (route, data) {
+        if (this.retryAttempt > 0) {
+            this.reportRetry(route, data);
+            return;
+        }
+
+        // after an app relaunch the device reports the already finished suites and specs once more
+        if (route === 'jasmineStarted') {
+            if (this.hasJasmineStarted) return;
+            this.hasJasmineStarted = true;
+        } else if (this.reportedEvents[route]) {
+            if (this.reportedEvents[route].hasOwnProperty(data.id)) return;
+            this.reportedEvents[route][data.id] = data;
+        }
+
+        if (route === 'specDone' && data.status === 'failed') {
+            this.failedSpecs[data.id] = data;
+        }
+
+        if (route === 'jasmineDone' && this.config.getRetries() > 0) {
+            this.pendingJasmineDone = data;
+            return;
+        }
+
+        this.dispatchToReporters(route, data);
+
+        if (route === 'specDone') {
+            this.emit('specDone', data);
+        }
+    }
+
+    // only the specs being retried are of interest, the rest of the specs are disabled on the device
+    reportRetry (route, data) {
+        if (route === 'deviceLog') {
+            this.dispatchToReporters(route, data);
+            return;
+        }
+
+        if (!data || !this.retriedSpecs.hasOwnProperty(data.id)) {
+            if (route === 'specDone' && data && data.status !== 'disabled') {
+                logger.warn('cordova-paramedic: spec "' + data.fullName + '" has been run although it is not retried, its result is ignored');
+            }
+            return;
+        }
+
+        if (route === 'specStarted') {
+            this.dispatchToReporters('specRetryStarted', data);
+        } else if (route === 'specDone') {
+            delete this.retriedSpecs[data.id];
+
+            const spec = Object.assign({ attempt: this.retryAttempt + 1 }, data);
+            if (spec.status === 'passed') {
+                delete this.failedSpecs[spec.id];
+                logger.info('cordova-paramedic: spec "' + spec.fullName + '" has passed on retry #' + this.retryAttempt + ', it is flaky');
+            } else {
+                this.failedSpecs[spec.id] = spec;
+                logger.warn('cordova-paramedic: spec "' + spec.fullName + '" has failed on retry #' + this.retryAttempt);
+            }
+
+            this.dispatchToReporters('specRetryDone', spec);
+            this.emit('specRetried', spec);
+        }
+    }
+
+    dispatchToReporters (route, data) {
+        this.reporters.forEach((reporter) => {
+            if (reporter[route] instanceof Function) {
+                reporter[route](data);
+            }
+        });
+    }
+
+    reportJasmineDone () {
+        if (!this.pendingJasmineDone) return;
+
+        this.dispatchToReporters('jasmineDone', this.pendingJasmineDone);
+        this.pendingJasmineDone = null;
+    }
+
+    shouldRetryFailedSpecs () {
+        if (Object.keys(this.failedSpecs).length === 0 || this.retryAttempt >= this.config.getRetries()) {
+            return false;
+        }
+
+        if (this.config.getRetryMode() === 'relaunch' && !this.startTestsCommand) {
+            logger.warn('cordova-paramedic: the app can\'t be relaunched on this platform, the failed specs are not retried');
+            return false;
+        }
+        if (this.config.getRetryMode() === 'session' && !this.server.isDeviceConnected()) {
+            logger.warn('cordova-paramedic: the device is not connected to the server, the failed specs are not retried');
+            return false;
+        }
+
+        return true;
+    }
+
+    retryFailedSpecs () {
+        this.retryAttempt++;
+        this.retriedSpecs = Object.assign({}, this.failedSpecs);
+
+        const specs = Object.keys(this.retriedSpecs).map(id => this.retriedSpecs[id].fullName);
+        logger.info('cordova-paramedic: retrying ' + specs.length + ' failed spec(s), retry #' + this.retryAttempt + ' of ' + this.config.getRetries());
+
+        if (this.config.getRetryMode() === 'relaunch') {
+            return this.relaunchApp();
+        }
+
+        return Q().then(() => {
+            this.isRelaunchingApp = true;
+            this.server.sendToDevice('rerunSpecs', { specs: specs });
+        });
+    }
+
+    startSpecWatchdog () {
+        if (!this.config.getSpecTimeout()) return;
+
+        this.specWatchdog = new ParamedicSpecWatchdog(this.server, this.config.getSpecTimeout());
+        this.specWatchdog.on('specTimeout', (spec) => this.onSpecTimeout(spec));
+    }
+
+    onSpecTimeout (spec) {
+        const message = 'Spec timed out after ' + this.config.getSpecTimeout() + ' ms';
+
+        // the spec is reported as failed right away, its result is ignored if it ever arrives
+        const timedOutSpec = Object.assign({}, spec, {
+            status: 'failed',
+            timedOut: true,
+            failedExpectations: [{ matcherName: '', message: message, stack: '', passed: false }],
+            passedExpectations: []
+        });
+        this.eventRecorder && this.eventRecorder.write('specDone', timedOutSpec);
+        this.report('specDone', timedOutSpec);
+
+        if (!this.config.shouldUseSauce() && !this.mockDevices && !this.device) {
+            this.collectDeviceLogs('timeout_' + spec.id);
+        }
+
+        if (this.config.getSpecTimeoutAction() === 'restart') {
+            if (!this.startTestsCommand) {
+                logger.warn('cordova-paramedic: the app can\'t be restarted on this platform, continuing...');
+                return;
+            }
+
+            this.relaunchApp()
+                .fail((error) => {
+                    logger.error('cordova-paramedic: failed to relaunch the app: ' + error);
+                });
+        }
+    }
+
+    relaunchApp () {
+        logger.info('cordova-paramedic: relaunching the app to continue with the remaining specs');
+
+        this.isRelaunchingApp = true;
+        return this.startApp(this.startTestsCommand);
+    }
+
+    // the shards share the project, so they write their medic.json and build and launch the app one at a time
+    startApp (command) {
+        const start = () => {
+            this.writeMedicJson(this.server.getConnectionUrl(this.config.getPlatformId()));
+            return this.launchApp(command);
+        };
+
+        return this.buildQueue ? this.buildQueue(start) : start();
+    }
+
+    launchApp (command) {
+        if (!this.mockDevices) {
+            return execPromise(command);
+        }
+
+        return Q().then(() => {
+            this.mockDevices.forEach(mockDevice => mockDevice.launch(path.join(this.tempFolder.name, 'www', 'medic.json')));
+        });
+    }
+
+    // splits the tests between several Android devices, each one with its own app install, server and log file,
+    // and reports the results of all of them as the ones of a single run
+    runShards () {
+        const paramedicTargetChooser = new ParamedicTargetChooser(this.tempFolder.name, this.config);
+        let builds = Q();
+
+        const queueBuild = (build) => {
+            const result = builds.then(build);
+            builds = result.fail(() => { /* the next shard builds anyway */ });
+            return result;
+        };
+
+        return Q()
+            .then(() => paramedicTargetChooser.chooseTargetsForAndroid(this.config.getShards(), this.config.getTarget()))
+            .then((targets) => {
+                logger.info('cordova-paramedic: splitting the tests between ' + targets.map(targetObj => targetObj.target).join(', '));
+                logger.normal('Start running tests at ' + (new Date()).toLocaleTimeString());
+
+                this.shardRunners = targets.map((targetObj, index) => this.createShardRunner(targetObj, index, targets.length, queueBuild));
+                this.targetObj = targets[0];
+
+                return Q.allSettled(this.shardRunners.map(shard => shard.runShard()));
+            })
+            .then((results) => {
+                this.shardRunners.forEach((shard) => {
+                    this.logFiles = this.logFiles.concat(shard.logFiles);
+                    Object.keys(shard.phaseTimings).forEach((phase) => {
+                        this.phaseTimings[phase] = Math.max(this.phaseTimings[phase] || 0, shard.phaseTimings[phase]);
+                    });
+                });
+
+                this.createReporters();
+                Reporters.replayEvents(this.reporters, mergeShardEvents(this.shardRunners.map(shard => shard.eventsReporter ? shard.eventsReporter.events : [])));
+
+                const errors = results
+                    .map((result, index) => result.state === 'rejected' ? getShardName(index, results.length) + ': ' + (result.reason && result.reason.message ? result.reason.message : result.reason) : null)
+                    .filter(error => error);
+                if (errors.length > 0) {
+                    throw new Error('The tests could not be completed on every device:\n' + errors.join('\n'));
                 }
+
+                return results.every(result => result.value === utilities.TEST_PASSED);
+            })
+            .then(isTestPassed => this.runAppiumTests()
+                .then(isAppiumTestPassed => isTestPassed && isAppiumTestPassed === utilities.TEST_PASSED));
+    }
+
+    createShardRunner (targetObj, index, count, queueBuild) {
+        const name = getShardName(index, count);
+        const config = new ParamedicConfig(this.config.toJSON(), this.config._sources);
+        const ports = this.config.getPorts();
+        const portCount = Math.floor((ports.end - ports.start + 1) / count);
+
+        config.setPorts(ports.start + index * portCount, ports.start + (index + 1) * portCount - 1);
+        config.setTarget(targetObj.target);
+
+        const shard = new ParamedicRunner(config, this.storedCWD);
+        shard.tempFolder = this.tempFolder;
+        shard.targetObj = targetObj;
+        shard.shard = { index: index, count: count };
+        shard.buildQueue = queueBuild;
+
+        shard.on('specDone', (spec) => {
+            if (spec.status === 'disabled' || spec.status === 'excluded') return;
+
+            logger.normal('cordova-paramedic: [' + name + '] ' + spec.status + ': ' + spec.fullName);
+            this.emit('specDone', spec);
+        });
+        ['specRetried', 'buildFinished', 'deviceConnected'].forEach((event) => {
+            shard.on(event, data => this.emit(event, data));
+        });
+
+        return shard;
+    }
+
+    runShard () {
+        return Server.startServer(this.config.getPorts(), this.config.getExternalServerUrl(), this.config.getUseTunnel())
+            .then((server) => {
+                this.server = server;
+
+                this.injectReporters();
+                this.subcribeForEvents();
+                this.startSpecWatchdog();
+
+                logger.info('cordova-paramedic: [' + getShardName(this.shard.index, this.shard.count) + '] running the tests on ' + this.targetObj.target);
+                return this.runLocalTests();
+            })
+            .fin(() => {
+                this.reportJasmineDone();
+                this.collectDeviceLogs();
+
+                return this.uninstallApp()
+                    .fail(() => { /* do not fail if uninstall fails */ })
+                    .fin(() => {
+                        this.specWatchdog && this.specWatchdog.stop();
+                    });
+            });
+    }
+
+    waitForDevices () {
+        const count = this.config.getDevices();
+        this.deviceRunners = [];
+
+        logger.info('cordova-paramedic: waiting for ' + count + ' devices to run the tests');
+        return Q.Promise((resolve, reject) => {
+            const devicesDone = [];
+            const timer = setTimeout(() => {
+                reject(new Error('Only ' + this.deviceRunners.length + ' of ' + count + ' devices have connected. ' + this.getPhaseTimeoutMessage('deviceConnect')));
+            }, this.config.getPhaseTimeout('deviceConnect'));
+
+            const onDevice = (device) => {
+                if (this.deviceRunners.length === count) {
+                    logger.warn('cordova-paramedic: ignoring device ' + device.getName() + ', ' + count + ' devices have connected already');
+                    return;
+                }
+
+                const runner = this.createDeviceRunner(device, this.deviceRunners.length, count);
+                this.deviceRunners.push(runner);
+                devicesDone.push(runner.runDevice());
+
+                if (this.deviceRunners.length === count) {
+                    clearTimeout(timer);
+                    resolve(Q.allSettled(devicesDone));
+                }
+            };
+
+            this.server.on('device', onDevice);
+            this.server.getDeviceSessions().forEach(onDevice);
+        }).then((results) => {
+            const errors = results.map((result, index) => result.state === 'rejected'
+                ? '[' + getDeviceName(index, count) + '] ' + (result.reason && result.reason.message ? result.reason.message : result.reason)
+                : null).filter(error => error);
+
+            if (errors.length > 0) {
+                throw new Error(errors.length + ' of ' + count + ' devices have failed to run the tests:\n' + errors.join('\n'));
+            }
+            return results.every(result => result.value === utilities.TEST_PASSED);
+        });
+    }
+
+    createDeviceRunner (device, index, count) {
+        const name = getDeviceName(index, count);
+        const config = new ParamedicConfig(this.config.toJSON(), this.config._sources);
+        if (this.config.getOutputDir()) {
+            config.setOutputDir(path.join(this.config.getOutputDir(), 'device' + (index + 1)));
+        }
+
+        const runner = new ParamedicRunner(config, this.storedCWD);
+        runner.tempFolder = this.tempFolder;
+        runner.server = device;
+        runner.device = { index: index, count: count };
+
+        logger.info('cordova-paramedic: [' + name + '] ' + device.getName() + ' has connected');
+        runner.on('specDone', (spec) => {
+            logger.normal('cordova-paramedic: [' + name + '] ' + spec.status + ': ' + spec.fullName);
+            this.emit('specDone', spec);
+        });
+        ['specRetried', 'deviceConnected'].forEach((event) => {
+            runner.on(event, data => this.emit(event, data));
+        });
+
+        return runner;
+    }
+
+    runDevice () {
+        this.injectReporters();
+        this.subcribeForEvents();
+        this.startSpecWatchdog();
+
+        return this.waitForTests()
+            .fin(() => {
+                this.reportJasmineDone();
+                this.specWatchdog && this.specWatchdog.stop();
+                this.writeHtmlReport();
             });
+    }
+
+    // keeps the app, the server and the emulator alive and runs the tests again whenever a local plugin changes,
+    // resolves with the result of the last iteration once stopped with Ctrl+C
+    watchPlugins (paramedicApp, isTestPassed) {
+        const pluginsManager = new PluginsManager(this.tempFolder.name, this.storedCWD, this.config);
+        const plugins = this.config.getPlugins()
+            .map(plugin => ({ plugin: plugin, dir: pluginsManager.resolvePlugin(plugin).localPath }))
+            .filter(plugin => plugin.dir);
+
+        if (plugins.length === 0) {
+            logger.warn('cordova-paramedic: none of the plugins is a local folder, there is nothing to watch');
+            return Q(isTestPassed);
+        }
+
+        const ignoredPaths = [this.tempFolder.name, this.config.getOutputDir()].filter(ignoredPath => ignoredPath)
+            .map(ignoredPath => path.resolve(this.storedCWD, ignoredPath));
+        const watcher = new ParamedicWatcher(plugins.map(plugin => plugin.dir), ignoredPaths);
+        let previousSpecs = this.getSpecStatuses();
+        let iteration = null;
+        let pendingChanges = [];
+
+        return Q.Promise((resolve) => {
+            const runIteration = (changedFiles) => {
+                const changedPlugins = plugins
+                    .filter(plugin => changedFiles.some(file => file === plugin.dir || file.indexOf(plugin.dir + path.sep) === 0))
+                    .map(plugin => plugin.plugin);
+
+                iteration = this.rerunTests(paramedicApp, changedPlugins)
+                    .then((result) => {
+                        isTestPassed = result;
+                        const specs = this.getSpecStatuses();
+                        this.printSpecsDiff(previousSpecs, specs);
+                        previousSpecs = specs;
+                    }, (error) => {
+                        isTestPassed = false;
+                        logger.error('cordova-paramedic: the tests could not be run again: ' + (error && error.message ? error.message : error));
+                    })
+                    .fin(() => {
+                        iteration = null;
+                        if (pendingChanges.length > 0) {
+                            const changes = pendingChanges;
+                            pendingChanges = [];
+                            runIteration(changes);
+                        } else {
+                            logger.info('cordova-paramedic: waiting for changes...');
+                        }
+                    });
+            };
+
+            watcher.on('change', (changedFiles) => {
+                if (iteration) {
+                    pendingChanges = pendingChanges.concat(changedFiles);
+                } else {
+                    runIteration(changedFiles);
+                }
+            });
+
+            process.once('SIGINT', () => {
+                logger.info('cordova-paramedic: stopping the watch mode');
+                watcher.stop();
+                Q(iteration).fin(() => resolve(isTestPassed));
+            });
+
+            watcher.start();
         });
     }
 
+    rerunTests (paramedicApp, changedPlugins) {
+        logger.info('cordova-paramedic: ' + changedPlugins.join(', ') + ' changed, running the tests again');
+
+        return this.runPhase('pluginInstall', () => paramedicApp.reinstallPlugins(changedPlugins))
+            .then(() => {
+                this.createReporters();
+                this.writeMedicJson(this.server.getConnectionUrl(this.config.getPlatformId()));
+                this.isRelaunchingApp = true;
+
+                if (this.startTestsCommand) {
+                    return this.runPhase('build', () => this.launchApp(this.startTestsCommand));
+                }
+
+                // the browser serves the prepared platform, reloading the test page is enough
+                return execPromise(this.config.getCli() + ' prepare ' + this.config.getPlatformId() + utilities.PARAMEDIC_COMMON_CLI_ARGS)
+                    .then(() => this.server.sendToDevice('rerunSpecs', {}));
+            })
+            .then(() => this.waitForTests());
+    }
+
+    getSpecStatuses () {
+        return this.resultsReporter.getSpecs().reduce((statuses, spec) => {
+            statuses[spec.fullName] = spec.status;
+            return statuses;
+        }, {});
+    }
+
+    printSpecsDiff (previousSpecs, specs) {
+        const names = Object.keys(specs);
+        const changes = {
+            'now failing': names.filter(name => specs[name] === 'failed' && previousSpecs[name] && previousSpecs[name] !== 'failed'),
+            'now passing': names.filter(name => specs[name] === 'passed' && previousSpecs[name] && previousSpecs[name] !== 'passed'),
+            'new': names.filter(name => !previousSpecs[name]),
+            'gone': Object.keys(previousSpecs).filter(name => !specs[name])
+        };
+        const failed = names.filter(name => specs[name] === 'failed').length;
+        const lines = Object.keys(changes)
+            .filter(change => changes[change].length > 0)
+            .map(change => '  ' + change + ': ' + changes[change].join(', '));
+
+        logger.info('cordova-paramedic: ' + (failed > 0 ? failed + ' of ' + names.length + ' specs failed' : 'all ' + names.length + ' specs passed') +
+            (lines.length > 0 ? ', changes since the previous run:\n' + lines.join('\n') : ', no changes since the previous run'));
+    }
+
     subcribeForEvents () {
         this.server.on('deviceLog', (data) => {
-            logger.verbose('device|console.' + data.type + ': ' + data.msg[0]);
+            logger.verbose('device|console.' + data.type + ': ' + (data.msg || []).map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
         });
 
         this.server.on('deviceInfo', (data) => {
@@ -185,18 +896,48 @@ class ParamedicRunner {
 
     writeMedicJson (logUrl) {
         logger.normal('cordova-paramedic: writing medic log url to project ' + logUrl);
-        fs.writeFileSync(path.join('www', 'medic.json'), JSON.stringify({ logurl: logUrl }));
+        fs.writeFileSync(path.join('www', 'medic.json'), JSON.stringify(this.getMedicConfig(logUrl)));
     }
 
-    maybeRunFileTransferServer () {
-        return Q().then(() => {
-            const plugins = this.config.getPlugins();
-            for (let i = 0; i < plugins.length; i++) {
-                if (plugins[i].indexOf('cordova-plugin-file-transfer') >= 0 && !this.config.getFileTransferServer() && !this.config.isCI()) {
-                    return this.server.startFileTransferServer(this.tempFolder.name);
-                }
+    // what the app reads from www/medic.json: where to send the results to and which specs to run
+    getMedicConfig (logUrl) {
+        const medicConfig = { logurl: logUrl, token: this.server.token, transport: this.config.getTransport() };
+        const filter = this.config.getSpecFilter();
+        const exclude = this.config.getSpecExclude();
+
+        if (filter.length > 0) {
+            medicConfig.filter = filter;
+        }
+        if (exclude.length > 0) {
+            medicConfig.exclude = exclude;
+        }
+        if (this.shard) {
+            medicConfig.shard = { index: this.shard.index, count: this.shard.count };
+        }
+        if (this.config.getShard()) {
+            medicConfig.suiteShard = this.config.getShard();
+        }
+
+        if (this.retryAttempt > 0) {
+            medicConfig.specs = Object.keys(this.retriedSpecs).map(id => this.retriedSpecs[id].fullName);
+        } else if (this.reportedEvents) {
+            const reportedSpecs = this.reportedEvents.specDone;
+            const skipSpecs = Object.keys(reportedSpecs).map(id => reportedSpecs[id].fullName);
+
+            if (skipSpecs.length > 0) {
+                medicConfig.skipSpecs = skipSpecs;
             }
-        });
+        }
+
+        return medicConfig;
+    }
+
+    getFixtures () {
+        if (!this.fixtures) {
+            this.fixtures = new ParamedicFixtures(this.config);
+        }
+
+        return this.fixtures;
     }
 
     runLocalTests () {
@@ -212,14 +953,17 @@ class ParamedicRunner {
         logger.info('cordova-paramedic: running tests locally');
 
         return Q()
-            .then(() => this.maybeRunFileTransferServer())
             .then(() => this.getCommandForStartingTests())
             .then((command) => {
                 this.setPermissions();
                 logger.normal('cordova-paramedic: running command ' + command);
 
-                if (this.config.getPlatformId() !== utilities.BROWSER) {
-                    return execPromise(command);
+                if (this.config.getPlatformId() !== utilities.BROWSER || this.mockDevices) {
+                    this.startTestsCommand = command;
+                    return this.runPhase('build', () => this.shard ? this.startApp(command) : this.launchApp(command))
+                        .then(() => {
+                            this.emit('buildFinished', { command: command });
+                        });
                 }
                 console.log('$ ' + command);
 
@@ -238,12 +982,7 @@ class ParamedicRunner {
 
                 // skip tests if it was just build
                 if (this.shouldWaitForTestResult()) {
-                    return Q.promise((resolve, reject) => {
-                    // reject if timed out
-                        this.waitForConnection().catch(reject);
-                        // resolve if got results
-                        this.waitForTests().then(resolve);
-                    });
+                    return this.config.getDevices() > 1 ? this.waitForDevices() : this.waitForTests();
                 }
 
                 return utilities.TEST_PASSED; // if we're not waiting for a test result, just report tests as passed
@@ -271,6 +1010,10 @@ class ParamedicRunner {
             logger.normal('Skipping Appium tests: not configured to run ...');
             return Q(utilities.TEST_PASSED);
         }
+        if (this.mockDevices) {
+            logger.normal('Skipping Appium tests: there is no app on the mock device ...');
+            return Q(utilities.TEST_PASSED);
+        }
         if (platform !== utilities.ANDROID && platform !== utilities.IOS) {
             logger.warn('Unsupported platform for Appium test run: ' + platform);
             // just skip Appium tests
@@ -288,7 +1031,7 @@ class ParamedicRunner {
             pluginRepos: this.config.getPlugins().map(plugin => path.join(this.tempFolder.name, 'plugins', path.basename(plugin))),
             appiumDeviceName: this.targetObj && this.targetObj.target,
             appiumPlatformVersion: null,
-            screenshotPath: path.join(process.cwd(), 'appium_screenshots'),
+            screenshotPath: this.getScreenshotsPath(),
             output: this.config.getOutputDir(),
             verbose: this.config.isVerbose(),
             sauce: useSauce,
@@ -346,65 +1089,144 @@ class ParamedicRunner {
     waitForTests () {
         logger.info('cordova-paramedic: waiting for test results');
         return Q.promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const idleTimeout = this.config.getIdleTimeout();
+            const listeners = [];
+            const timers = {};
+            let isConnected = false;
+
+            const listen = (event, listener, emitter = this.server) => {
+                listeners.push({ emitter, event, listener });
+                emitter.on(event, listener);
+            };
+
+            const startTimer = (name, timeout, message) => {
+                clearTimeout(timers[name]);
+                timers[name] = setTimeout(() => finish(reject, new Error(message)), timeout);
+            };
+
+            const finish = (settle, value) => {
+                Object.keys(timers).forEach(name => clearTimeout(timers[name]));
+                listeners.forEach(item => item.emitter.removeListener(item.event, item.listener));
+                settle(value);
+            };
+
+            // any event from the device means it is connected and alive
+            const onDeviceActivity = () => {
+                if (!isConnected) {
+                    isConnected = true;
+                    this.phaseTimings.deviceConnect = Date.now() - startedAt;
+                    this.emit('deviceConnected', { target: this.targetObj || null });
+                    clearTimeout(timers.deviceConnect);
+                    startTimer('testExecution', this.config.getPhaseTimeout('testExecution'), this.getPhaseTimeoutMessage('testExecution'));
+                }
+
+                if (idleTimeout) {
+                    startTimer('idle', idleTimeout * 1000, 'No events have been received from the device for ' + idleTimeout + ' secs');
+                }
+            };
 
             // time out if connection takes too long
-            const ERR_MSG = 'waitForTests: Seems like device not connected to local server in ' + INITIAL_CONNECTION_TIMEOUT / 1000 + ' secs';
-            setTimeout(() => {
-                if (!this.server.isDeviceConnected()) {
-                    reject(new Error(ERR_MSG));
+            startTimer('deviceConnect', this.config.getPhaseTimeout('deviceConnect'), this.getPhaseTimeoutMessage('deviceConnect'));
+
+            listen('connection', () => {
+                if (timers.reconnect) {
+                    logger.info('cordova-paramedic: the device has reconnected');
+                    clearTimeout(timers.reconnect);
+                    delete timers.reconnect;
+                }
+                this.isRelaunchingApp = false;
+                onDeviceActivity();
+            });
+            Server.DEVICE_EVENTS.forEach((route) => {
+                listen(route, onDeviceActivity);
+            });
+
+            if (this.server.isDeviceConnected()) {
+                onDeviceActivity();
+            }
+
+            listen('jasmineDone', (data) => {
+                if (this.shouldRetryFailedSpecs()) {
+                    this.retryFailedSpecs()
+                        .fail(error => finish(reject, error));
+                    return;
                 }
-            }, INITIAL_CONNECTION_TIMEOUT);
 
-            this.server.on('jasmineDone', (data) => {
                 logger.info('cordova-paramedic: tests have been completed');
+                this.phaseTimings.testExecution = Date.now() - startedAt - (this.phaseTimings.deviceConnect || 0);
+                this.reportJasmineDone();
 
                 // Is Test Passed
-                resolve((data.specResults.specFailed === 0));
+                // the counters of the device only cover the last attempt
+                const noFailedSpecs = Object.keys(this.failedSpecs).length === 0;
+                finish(resolve, noFailedSpecs && (this.retryAttempt > 0 || data.specResults.specFailed === 0));
             });
 
-            this.server.on('disconnect', () => {
-                reject(new Error('Device is disconnected before passing the tests'));
+            listen('disconnect', () => {
+                if (this.isRelaunchingApp) return;
+
+                // the app resends the events the server hasn't received once it has reconnected
+                const reconnectTimeout = this.config.getReconnectTimeout();
+                if (!reconnectTimeout) {
+                    finish(reject, new Error('Device is disconnected before passing the tests'));
+                    return;
+                }
+
+                logger.warn('cordova-paramedic: the device has disconnected, waiting ' + reconnectTimeout + ' ms for it to reconnect');
+                startTimer('reconnect', reconnectTimeout, 'Device is disconnected before passing the tests and has not reconnected within ' + reconnectTimeout + ' ms');
             });
+
+            if (this.specWatchdog && this.config.getSpecTimeoutAction() === 'abort') {
+                listen('specTimeout', (spec) => {
+                    finish(reject, new Error('Spec "' + spec.fullName + '" timed out after ' + this.config.getSpecTimeout() + ' ms'));
+                }, this.specWatchdog);
+            }
         });
     }
 
     getCommandForStartingTests () {
-        let cmd = this.config.getCli() + ' ' + this.config.getAction() + ' ' + this.config.getPlatformId() + utilities.PARAMEDIC_COMMON_CLI_ARGS;
-
-        const addConfigArgs = (cmd) => {
-            if (this.config.getArgs()) {
-                cmd += ' ' + this.config.getArgs();
-            }
-
-            return cmd;
-        };
-
-        if (this.config.getPlatformId() === utilities.BROWSER) {
-            return addConfigArgs(cmd);
+        if (!this.shouldChooseTarget()) {
+            return Q(this.buildCommandForStartingTests());
         }
 
         const paramedicTargetChooser = new ParamedicTargetChooser(this.tempFolder.name, this.config);
 
-        if (this.config.getAction() === 'build' || (this.config.getPlatformId() === utilities.WINDOWS && this.config.getArgs().indexOf('appx=8.1-phone') < 0)) {
-            // The app is to be run as a store app or just build. So no need to choose a target.
-            return Q(addConfigArgs(cmd));
-        }
-
         // For now we always trying to run test app on emulator
         return Q().then(() => paramedicTargetChooser.chooseTarget(/* useEmulator= */true, /* preferredTarget= */this.config.getTarget()))
             .then((targetObj) => {
                 this.targetObj = targetObj;
-                cmd += ' --target ' + this.targetObj.target;
+                return this.buildCommandForStartingTests(this.targetObj.target);
+            });
+    }
 
-                // CB-11472 In case of iOS provide additional '--emulator' flag, otherwise
-                // 'cordova run ios --target' would hang waiting for device with name
-                // as specified in 'target' in case if any device is physically connected
-                if (this.config.getPlatformId() === utilities.IOS) {
-                    cmd += ' --emulator';
-                }
+    // The browser is not deployed to a target. Neither is a windows store app, an app which is just built or a mock device.
+    shouldChooseTarget () {
+        const platformId = this.config.getPlatformId();
+        return platformId !== utilities.BROWSER && !this.config.getMockDevice() &&
+            this.config.getAction() !== 'build' &&
+            (platformId !== utilities.WINDOWS || this.config.getArgs().indexOf('appx=8.1-phone') >= 0);
+    }
 
-                return addConfigArgs(cmd);
-            });
+    buildCommandForStartingTests (target) {
+        let cmd = this.config.getCli() + ' ' + this.config.getAction() + ' ' + this.config.getPlatformId() + utilities.PARAMEDIC_COMMON_CLI_ARGS;
+
+        if (target) {
+            cmd += ' --target ' + target;
+
+            // CB-11472 In case of iOS provide additional '--emulator' flag, otherwise
+            // 'cordova run ios --target' would hang waiting for device with name
+            // as specified in 'target' in case if any device is physically connected
+            if (this.config.getPlatformId() === utilities.IOS) {
+                cmd += ' --emulator';
+            }
+        }
+
+        if (this.config.getArgs()) {
+            cmd += ' ' + this.config.getArgs();
+        }
+
+        return cmd;
     }
 
     shouldWaitForTestResult () {
@@ -412,23 +1234,37 @@ class ParamedicRunner {
         return (action.indexOf('run') === 0) || (action.indexOf('emulate') === 0);
     }
 
-    waitForConnection () {
-        const ERR_MSG = 'waitForConnection: Seems like device not connected to local server in ' + INITIAL_CONNECTION_TIMEOUT / 1000 + ' secs';
+    getScreenshotsPath () {
+        return path.join(this.tempFolder.name, 'appium_screenshots');
+    }
 
-        return Q.promise((resolve, reject) => {
-            setTimeout(() => {
-                if (!this.server.isDeviceConnected()) {
-                    reject(new Error(ERR_MSG));
-                } else {
-                    resolve();
-                }
-            }, INITIAL_CONNECTION_TIMEOUT);
+    writeHtmlReport () {
+        if (!this.config.getOutputDir() || !this.resultsReporter) return;
+
+        const screenshotsPath = this.tempFolder ? this.getScreenshotsPath() : null;
+        const screenshots = screenshotsPath && fs.existsSync(screenshotsPath)
+            ? fs.readdirSync(screenshotsPath).filter(file => path.extname(file) === '.png').map(file => path.join(screenshotsPath, file))
+            : [];
+
+        const report = new ParamedicHtmlReport({
+            platform: this.config.getPlatform(),
+            target: this.targetObj,
+            results: this.resultsReporter.getResults(),
+            logFiles: this.logFiles,
+            screenshots: screenshots
         });
+        report.write(this.config.getOutputDir());
     }
 
     cleanUpProject () {
+        this.specWatchdog && this.specWatchdog.stop();
+        this.mockDevices && this.mockDevices.forEach(mockDevice => mockDevice.stop());
+        this.eventRecorder && this.eventRecorder.stop();
         this.server && this.server.cleanUp();
-        if (this.config.shouldCleanUpAfterRun()) {
+        this.fixtures && this.fixtures.stop();
+        if (this.config.getProjectDir()) {
+            logger.info('cordova-paramedic: keeping the application for the next runs: ' + this.tempFolder.name);
+        } else if (this.config.shouldCleanUpAfterRun()) {
             logger.info('cordova-paramedic: Deleting the application: ' + this.tempFolder.name);
             shell.popd();
             shell.rm('-rf', this.tempFolder.name);
@@ -443,12 +1279,19 @@ class ParamedicRunner {
         }
     }
 
-    collectDeviceLogs () {
+    collectDeviceLogs (logFileSuffix) {
         logger.info('Collecting logs for the devices.');
+        if (this.shard) {
+            logFileSuffix = 'shard' + (this.shard.index + 1) + (logFileSuffix ? '_' + logFileSuffix : '');
+        }
         const outputDir = this.config.getOutputDir() ? this.config.getOutputDir() : this.tempFolder.name;
         const logMins = this.config.getLogMins() ? this.config.getLogMins() : utilities.DEFAULT_LOG_TIME;
-        const paramedicLogCollector = new ParamedicLogCollector(this.config.getPlatformId(), this.tempFolder.name, outputDir, this.targetObj);
-        paramedicLogCollector.collectLogs(logMins);
+        const paramedicLogCollector = new ParamedicLogCollector(this.config.getPlatformId(), this.tempFolder.name, outputDir, this.targetObj, logFileSuffix);
+        const logFile = paramedicLogCollector.collectLogs(logMins);
+
+        if (logFile) {
+            this.logFiles.push(logFile);
+        }
     }
 
     uninstallApp () {
@@ -458,13 +1301,137 @@ class ParamedicRunner {
     }
 }
 
+function getShardName (index, count) {
+    return 'shard ' + (index + 1) + '/' + count;
+}
+
+function getDeviceName (index, count) {
+    return 'device ' + (index + 1) + '/' + count;
+}
+
+function isSpecRun (spec) {
+    return spec.status !== 'disabled' && spec.status !== 'excluded';
+}
+
+// The shards run the same suites, each one with its part of the specs enabled. The merged run follows the order
+// of the suites of a shard which has finished and every spec is reported by the shard which has run it.
+function mergeShardEvents (shardEvents) {
+    // the events of every spec by its id, the ids are the same on every device since the same specs are defined
+    const specs = {};
+    const runOn = {};
+    const retries = [];
+    const otherLogs = [];
+    const finished = shardEvents.filter(events => events.some(event => event.route === 'jasmineDone'));
+    const main = finished[0] || shardEvents.reduce((longest, events) => events.length > longest.length ? events : longest, []);
+
+    shardEvents.forEach((events, index) => {
+        let spec = null;
+        let isInRetry = false;
+
+        events.forEach((event) => {
+            if (event.route === 'specStarted') {
+                spec = [event];
+            } else if (event.route === 'specDone') {
+                spec = (spec || []).concat(event);
+                if (isSpecRun(event.data)) {
+                    runOn[event.data.id] = (runOn[event.data.id] || []).concat(index);
+                }
+                if (!specs[event.data.id] || (isSpecRun(event.data) && !isSpecRun(specs[event.data.id].done.data))) {
+                    specs[event.data.id] = { events: spec, done: event, isReported: false };
+                }
+                spec = null;
+            } else if (event.route === 'specRetryStarted' || event.route === 'specRetryDone') {
+                isInRetry = event.route === 'specRetryStarted';
+                retries.push(event);
+            } else if (event.route === 'deviceLog') {
+                if (isInRetry) {
+                    retries.push(event);
+                } else if (spec) {
+                    spec.push(event);
+                } else if (events !== main) {
+                    otherLogs.push(event);
+                }
+            }
+        });
+    });
+
+    Object.keys(runOn).filter(id => runOn[id].length > 1).forEach((id) => {
+        logger.warn('cordova-paramedic: spec "' + specs[id].done.data.fullName + '" has been run on ' +
+            runOn[id].map(index => getShardName(index, shardEvents.length)).join(', ') + ', it is only reported once');
+    });
+
+    const merged = [];
+    const reportSpec = (id) => {
+        if (!specs[id] || specs[id].isReported) return;
+
+        specs[id].isReported = true;
+        Array.prototype.push.apply(merged, specs[id].events);
+    };
+    const reportRest = () => {
+        Object.keys(specs).forEach(reportSpec);
+        Array.prototype.push.apply(merged, retries);
+    };
+    let isInSpec = false;
+
+    main.forEach((event) => {
+        if (event.route === 'specStarted') {
+            isInSpec = true;
+        } else if (event.route === 'specDone') {
+            isInSpec = false;
+            reportSpec(event.data.id);
+        } else if (event.route === 'specRetryStarted' || event.route === 'specRetryDone') {
+            isInSpec = event.route === 'specRetryStarted';
+        } else if (event.route === 'deviceLog') {
+            if (!isInSpec) merged.push(event);
+        } else if (event.route === 'jasmineStarted') {
+            const startedAt = Math.min.apply(null, shardEvents.map(events => (events.find(item => item.route === 'jasmineStarted') || event).time));
+            merged.push(Object.assign({}, event, { time: startedAt }));
+            Array.prototype.push.apply(merged, otherLogs);
+        } else if (event.route === 'jasmineDone') {
+            reportRest();
+
+            const doneEvents = finished.map(events => events.find(item => item.route === 'jasmineDone'));
+            const specResults = { specExecuted: 0, specFailed: 0 };
+            Object.keys(specs).map(id => specs[id].done.data).filter(isSpecRun).forEach((spec) => {
+                specResults.specExecuted++;
+                if (spec.status === 'failed') specResults.specFailed++;
+            });
+
+            merged.push({
+                route: 'jasmineDone',
+                data: Object.assign({}, event.data, { specResults: specResults }),
+                time: Math.max.apply(null, doneEvents.map(doneEvent => doneEvent.time))
+            });
+        } else {
+            merged.push(event);
+        }
+    });
+
+    if (finished.length === 0) {
+        reportRest();
+    }
+
+    return merged;
+}
+
 let storedCWD = null;
 
 exports.run = function (paramedicConfig) {
     storedCWD = storedCWD || process.cwd();
 
-    const runner = new ParamedicRunner(paramedicConfig, null);
-    runner.storedCWD = storedCWD;
+    const runner = new ParamedicRunner(paramedicConfig, storedCWD);
+
+    return runner.run()
+        .then(result => result.passed);
+};
+
+exports.replay = function (paramedicConfig, file) {
+    storedCWD = storedCWD || process.cwd();
+
+    const runner = new ParamedicRunner(paramedicConfig, storedCWD);
 
-    return runner.run();
+    return Q().then(() => runner.replay(ParamedicEventRecorder.read(file)))
+        .then(result => result.passed);
 };
+
+exports.ParamedicRunner = ParamedicRunner;
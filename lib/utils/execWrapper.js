@@ -20,11 +20,17 @@
 var shelljs = require('shelljs');
 var Q = require('q');
 var verbose;
+// the child processes of the asynchronous commands which have not exited yet
+var running = [];
 
 function exec (cmd, onFinish, onData) {
     console.log('$ ' + cmd);
     if (onFinish instanceof Function || onFinish === null) {
-        var result = shelljs.exec(cmd, { async: true, silent: !verbose }, onFinish);
+        var result = shelljs.exec(cmd, { async: true, silent: !verbose }, function () {
+            running.splice(running.indexOf(result), 1);
+            if (onFinish) onFinish.apply(null, arguments);
+        });
+        running.push(result);
 
         if (onData instanceof Function) {
             result.stdout.on('data', onData);
@@ -50,5 +56,9 @@ exec.setVerboseLevel = function (_verbose) {
     verbose = _verbose;
 };
 
+exec.getRunningProcesses = function () {
+    return running.slice();
+};
+
 module.exports.exec = exec;
 module.exports.execPromise = execPromise;
@@ -212,6 +212,9 @@ module.exports = {
     DEFAULT_LOG_TIME: 15,
     DEFAULT_LOG_TIME_ADDITIONAL: 2,
 
+    // folders of a local plugin which are not part of its sources
+    PLUGIN_IGNORED_DIRS: ['.git', 'node_modules'],
+
     TEST_PASSED: true,
     TEST_FAILED: false,
 
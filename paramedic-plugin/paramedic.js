@@ -1,4 +1,4 @@
-/* global window, cordova, device, jasmine, XMLHttpRequest */
+/* global window, document, cordova, device, jasmine, XMLHttpRequest */
 /**
     Licensed to the Apache Software Foundation (ASF) under one
     or more contributor license agreements.  See the NOTICE file
@@ -22,6 +22,42 @@ var io = cordova.require('cordova-plugin-paramedic.socket.io');
 
 var PARAMEDIC_SERVER_DEFAULT_URL = 'http://127.0.0.1:8008';
 
+// the path of the server the events are posted to when socket.io is not used, see HttpTransport
+var HTTP_EVENTS_PATH = '/paramedic/events';
+// how often the events are posted, an empty post keeps the connection alive and polls for the commands of the server
+var HTTP_POST_INTERVAL = 1000;
+// how long the events are batched before being posted
+var HTTP_BATCH_DELAY = 100;
+// how long socket.io may try to connect before the events are posted over http instead
+var SOCKET_CONNECT_TIMEOUT = 10000;
+
+// the specs to run after the test page has been reloaded to retry them
+var RERUN_SPECS_STORAGE_KEY = 'cordova-paramedic-rerun-specs';
+// identifies the device to the server without cordova-plugin-device, the same after the app is relaunched
+var DEVICE_ID_STORAGE_KEY = 'cordova-paramedic-device-id';
+
+var CONSOLE_METHODS = [
+    'log', 'info', 'warn', 'error', 'debug', 'trace', 'assert', 'table', 'dir', 'dirxml',
+    'group', 'groupCollapsed', 'groupEnd', 'time', 'timeEnd', 'count'
+];
+
+// log level of the console methods, 'log' for the ones not listed
+var CONSOLE_LEVELS = {
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+    assert: 'error',
+    uncaughtError: 'error',
+    unhandledRejection: 'error',
+    debug: 'debug',
+    trace: 'debug'
+};
+
+// the depth objects are serialized to, how many of their keys or items and roughly how many characters per log
+var MAX_SERIALIZATION_DEPTH = 10;
+var MAX_SERIALIZATION_KEYS = 100;
+var MAX_SERIALIZATION_LENGTH = 100000;
+
 function Paramedic() {
 
 }
@@ -29,53 +65,170 @@ function Paramedic() {
 Paramedic.prototype.initialize = function() {
     var me = this;
     var connectionUri = me.loadParamedicServerUrl();
-    this.socket = io.connect(connectionUri);
+    var medicConfig = getMedicConfig();
 
-    this.socket.on('connect', function () {
-        console.log('Paramedic has been successfully connected to the server');
-        if (typeof device != 'undefined') me.socket.emit('deviceInfo', device);
-    });
+    this.sender = new EventSender();
+    // the device reports who it is once cordova is ready, the events sent until then wait in the sender
+    document.addEventListener('deviceready', function () {
+        me.connectToServer(connectionUri, medicConfig);
+    }, false);
 
     this.overrideConsole();
+    this.forwardUncaughtErrors();
     this.injectJasmineReporter();
 
     // indicate our presence
     window.PARAMEDIC = true;
 };
 
+Paramedic.prototype.connectToServer = function (connectionUri, medicConfig) {
+    var me = this;
+    // the server of the run ignores the apps which don't present its token
+    var query = 'token=' + encodeURIComponent(medicConfig.token || '') + '&device=' + encodeURIComponent(getDeviceId());
+
+    if (medicConfig.transport === 'http') {
+        this.connect(new HttpTransport(connectionUri, query));
+    } else {
+        // some WebViews and proxies break socket.io, the events are posted instead if it cannot connect
+        var socket = io.connect(connectionUri, { query: query });
+        var fallbackTimer = setTimeout(function () {
+            console.log('Paramedic cannot connect to the server with socket.io, posting the events over http instead');
+            socket.close();
+            me.connect(new HttpTransport(connectionUri, query));
+        }, SOCKET_CONNECT_TIMEOUT);
+
+        socket.on('connect', function () {
+            clearTimeout(fallbackTimer);
+        });
+        this.connect(socket);
+    }
+};
+
+// the transport is a socket.io socket or an HttpTransport, they are used the same way
+Paramedic.prototype.connect = function (transport) {
+    var me = this;
+
+    this.socket = transport;
+    this.sender.setTransport(transport);
+
+    transport.on('connect', function () {
+        console.log('Paramedic has been successfully connected to the server');
+        if (typeof device != 'undefined') me.sender.emit('deviceInfo', device);
+    });
+
+    // the server asks to run some of the specs once more, or all of them if none are given
+    transport.on('rerunSpecs', function (data) {
+        if (data.specs) {
+            window.sessionStorage.setItem(RERUN_SPECS_STORAGE_KEY, JSON.stringify(data.specs));
+        }
+        window.location.reload();
+    });
+};
 
 Paramedic.prototype.overrideConsole = function () {
 
     var origConsole = window.console;
     var me = this;
+    var customConsole = {};
+    var isForwarding = false;
 
     function createCustomLogger(type) {
         return function () {
-            origConsole[type].apply(origConsole, arguments);
+            if (typeof origConsole[type] === 'function') {
+                origConsole[type].apply(origConsole, arguments);
+            }
+
+            var args = Array.prototype.slice.apply(arguments);
 
-            me.socket.emit('deviceLog', { type: type, msg: Array.prototype.slice.apply(arguments) });
+            // console.assert only logs if the assertion fails
+            if (type === 'assert') {
+                if (args[0]) {
+                    return;
+                }
+                args = ['Assertion failed:'].concat(args.slice(1));
+            }
+
+            // never forward the output the forwarding itself might produce
+            if (isForwarding) {
+                return;
+            }
+            isForwarding = true;
+            try {
+                me.sendLog(type, args);
+            } finally {
+                isForwarding = false;
+            }
         };
     }
-    window.console = {
-        log: createCustomLogger('log'),
-        warn: createCustomLogger('warn'),
-        error: createCustomLogger('error'),
-    };
+
+    // wrap every method of the console, including the ones a specific WebView might add
+    var methods = CONSOLE_METHODS.slice();
+    for (var name in origConsole) {
+        if (typeof origConsole[name] === 'function' && methods.indexOf(name) < 0) {
+            methods.push(name);
+        }
+    }
+    methods.forEach(function (method) {
+        customConsole[method] = createCustomLogger(method);
+    });
+
+    window.console = customConsole;
     console.log('Paramedic console has been installed.');
 };
 
+Paramedic.prototype.sendLog = function (type, args) {
+    var state = { seen: [], length: 0 };
+
+    this.sender.emit('deviceLog', {
+        type: type,
+        level: CONSOLE_LEVELS[type] || 'log',
+        timestamp: Date.now(),
+        msg: args.map(function (arg) {
+            return serialize(arg, state);
+        })
+    });
+};
+
+Paramedic.prototype.forwardUncaughtErrors = function () {
+    var me = this;
+    var onerrorOriginal = window.onerror;
+
+    window.onerror = function (message, source, lineno, colno, error) {
+        me.sendLog('uncaughtError', ['Uncaught error: ' + message + ' at ' + source + ':' + lineno + ':' + colno, error]);
+        return onerrorOriginal ? onerrorOriginal.apply(this, arguments) : false;
+    };
+
+    window.addEventListener('unhandledrejection', function (event) {
+        me.sendLog('unhandledRejection', ['Unhandled promise rejection:', event.reason]);
+    });
+};
+
 Paramedic.prototype.injectJasmineReporter = function () {
     var JasmineParamedicProxy = require('cordova-plugin-paramedic.JasmineParamedicProxy');
-    var jasmineProxy = new JasmineParamedicProxy(this.socket);
+    var jasmineProxy = new JasmineParamedicProxy(this.sender);
     var testsModule = cordova.require("cordova-plugin-test-framework.cdvtests");
     var defineAutoTestsOriginal = testsModule.defineAutoTests;
 
+    var me = this;
+
     testsModule.defineAutoTests = function () {
         defineAutoTestsOriginal();
         jasmine.getEnv().addReporter(jasmineProxy);
+        me.injectSpecFilter();
     };
 };
 
+// the specs are defined by then, the ones which are not run this time are disabled, see specFilter.js
+Paramedic.prototype.injectSpecFilter = function () {
+    var specFilter = require('cordova-plugin-paramedic.specFilter');
+    var topSuite = jasmine.getEnv().topSuite();
+    var filter = specFilter.createSpecFilter(getMedicConfig(), takeRerunSpecs(), topSuite);
+
+    if (filter) {
+        specFilter.disableSpecs(topSuite, filter);
+    }
+};
+
 Paramedic.prototype.loadParamedicServerUrl = function () {
     try {
         // attempt to synchronously load medic config
@@ -102,9 +255,247 @@ Paramedic.prototype.loadParamedicFileServerUrl = function () {
     return getMedicConfig().fileserverurl;
 };
 
+// Sends the events to the server in order, numbered within the session of the page, and keeps them until
+// the server acknowledges them. The ones which may have been lost when the connection dropped are sent
+// again once the transport has reconnected, the server ignores the ones it has received already.
+function EventSender() {
+    this.socket = null;
+    this.session = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+    this.seq = 0;
+    this.pending = [];
+}
+
+// the events which have not been acknowledged yet go on over the new transport
+EventSender.prototype.setTransport = function (socket) {
+    var me = this;
+
+    this.socket = socket;
+    socket.on('connect', function () {
+        if (me.socket !== socket) return;
+
+        me.pending.forEach(function (event) {
+            me.send(event);
+        });
+    });
+};
+
+EventSender.prototype.emit = function (route, data) {
+    var event = { route: route, data: data, seq: ++this.seq };
+    this.pending.push(event);
+
+    // socket.io would buffer it too, it is sent along with the other pending events on connect
+    if (this.socket && this.socket.connected) {
+        this.send(event);
+    }
+};
+
+EventSender.prototype.send = function (event) {
+    var me = this;
+
+    this.socket.emit(event.route, event.data, { session: this.session, seq: event.seq }, function () {
+        me.pending = me.pending.filter(function (pendingEvent) {
+            return pendingEvent.seq !== event.seq;
+        });
+    });
+};
+
+// Posts the events to the server in batches, for the WebViews and networks socket.io doesn't get through.
+// It is used like a socket.io socket: it emits 'connect' once a post has succeeded and the commands of the
+// server, which come with the responses. A post which fails loses the connection, the events are sent again
+// on connect. The connection id tells the server a reloaded page apart from the previous one.
+function HttpTransport(url, query) {
+    var me = this;
+
+    this.url = url.replace(/\/$/, '') + HTTP_EVENTS_PATH + '?' + query +
+        '&connection=' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+    this.connected = false;
+    this.listeners = {};
+    this.batch = [];
+    this.isPosting = false;
+    this.batchTimer = null;
+
+    // posts even if there is nothing to send to keep the connection alive
+    setInterval(function () {
+        me.post();
+    }, HTTP_POST_INTERVAL);
+    setTimeout(function () {
+        me.post();
+    });
+}
+
+HttpTransport.prototype.on = function (event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+};
+
+HttpTransport.prototype.trigger = function (event, data) {
+    (this.listeners[event] || []).forEach(function (listener) {
+        listener(data);
+    });
+};
+
+HttpTransport.prototype.emit = function (route, data, event, ack) {
+    var me = this;
+
+    this.batch.push({ route: route, data: data, event: event, ack: ack });
+    if (!this.batchTimer) {
+        this.batchTimer = setTimeout(function () {
+            me.batchTimer = null;
+            me.post();
+        }, HTTP_BATCH_DELAY);
+    }
+};
+
+HttpTransport.prototype.post = function () {
+    var me = this;
+    if (this.isPosting) {
+        return;
+    }
+
+    var batch = this.batch;
+    var xhr = new XMLHttpRequest();
+    this.batch = [];
+    this.isPosting = true;
+
+    xhr.onreadystatechange = function () {
+        if (xhr.readyState !== 4) {
+            return;
+        }
+        me.isPosting = false;
+
+        var commands = null;
+        try {
+            commands = xhr.status === 200 ? JSON.parse(xhr.responseText).commands || [] : null;
+        } catch (ex) {
+            // e.g. the page of a proxy
+        }
+        if (!commands) {
+            // the events of the batch are pending in the EventSender, they are sent again on connect
+            if (me.connected) {
+                me.connected = false;
+                me.trigger('disconnect');
+            }
+            return;
+        }
+
+        batch.forEach(function (event) {
+            if (event.ack) event.ack();
+        });
+        if (!me.connected) {
+            me.connected = true;
+            me.trigger('connect');
+        }
+        commands.forEach(function (command) {
+            me.trigger(command.event, command.data);
+        });
+        // the events emitted while posting
+        if (me.batch.length > 0) {
+            me.post();
+        }
+    };
+
+    xhr.open('POST', this.url, true);
+    // a simple request, the server doesn't have to answer a CORS preflight
+    xhr.setRequestHeader('Content-Type', 'text/plain');
+    xhr.send(JSON.stringify({
+        events: batch.map(function (event) {
+            return { route: event.route, data: event.data, event: event.event };
+        })
+    }));
+};
+
 cordova.paramedic = new Paramedic();
 cordova.paramedic.initialize();
 
+// converts any value to something which can be safely sent to the server, state.length counts the
+// characters serialized so far for the log
+function serialize (value, state) {
+    if (value === undefined) {
+        return 'undefined';
+    }
+    if (typeof value === 'function') {
+        return '[Function' + (value.name ? ': ' + value.name : '') + ']';
+    }
+    if (typeof value === 'string') {
+        var remaining = Math.max(MAX_SERIALIZATION_LENGTH - state.length, 0);
+        state.length += Math.min(value.length, remaining);
+        return value.length > remaining ? value.slice(0, remaining) + '[Truncated]' : value;
+    }
+    if (value === null || typeof value !== 'object') {
+        state.length += 1;
+        return value;
+    }
+    if (state.length >= MAX_SERIALIZATION_LENGTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: serialize(value.message, state), stack: serialize(value.stack, state) };
+    }
+    if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+        return '[' + value.nodeName + ']';
+    }
+    if (state.seen.indexOf(value) >= 0) {
+        return '[Circular]';
+    }
+    if (state.seen.length >= MAX_SERIALIZATION_DEPTH) {
+        return '[Object]';
+    }
+
+    var isArray = Array.isArray(value);
+    var keys = isArray ? null : Object.keys(value);
+    var count = isArray ? value.length : keys.length;
+    var result = isArray ? [] : {};
+    var i;
+
+    state.seen.push(value);
+    try {
+        for (i = 0; i < count && i < MAX_SERIALIZATION_KEYS && state.length < MAX_SERIALIZATION_LENGTH; i++) {
+            var key = isArray ? i : keys[i];
+            state.length += String(key).length;
+            try {
+                result[key] = serialize(value[key], state);
+            } catch (ex) {
+                result[key] = '[Unserializable: ' + ex + ']';
+            }
+        }
+    } finally {
+        state.seen.pop();
+    }
+
+    if (i < count) {
+        var more = '[' + (count - i) + ' more]';
+        if (isArray) {
+            result.push(more);
+        } else {
+            result['...'] = more;
+        }
+    }
+
+    return result;
+}
+
+// the device is the one it reports with cordova-plugin-device, which stays the same when the app is
+// reinstalled, the id kept in the local storage only tells the apps apart without the plugin
+function getDeviceId () {
+    if (typeof device != 'undefined' && device.uuid) {
+        return [device.platform, device.model, device.uuid].join('/');
+    }
+
+    var id = window.localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!id) {
+        id = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+        window.localStorage.setItem(DEVICE_ID_STORAGE_KEY, id);
+    }
+
+    return id;
+}
+
+function takeRerunSpecs () {
+    var specs = window.sessionStorage.getItem(RERUN_SPECS_STORAGE_KEY);
+    window.sessionStorage.removeItem(RERUN_SPECS_STORAGE_KEY);
+
+    return specs ? JSON.parse(specs) : null;
+}
+
 function getMedicConfig () {
     var cfg = {
         logurl: PARAMEDIC_SERVER_DEFAULT_URL
@@ -119,6 +510,30 @@ function getMedicConfig () {
         if (parsedCfg.logurl) {
             cfg.logurl = parsedCfg.logurl;
         }
+        if (parsedCfg.token) {
+            cfg.token = parsedCfg.token;
+        }
+        if (parsedCfg.transport) {
+            cfg.transport = parsedCfg.transport;
+        }
+        if (parsedCfg.skipSpecs) {
+            cfg.skipSpecs = parsedCfg.skipSpecs;
+        }
+        if (parsedCfg.specs) {
+            cfg.specs = parsedCfg.specs;
+        }
+        if (parsedCfg.filter) {
+            cfg.filter = parsedCfg.filter;
+        }
+        if (parsedCfg.exclude) {
+            cfg.exclude = parsedCfg.exclude;
+        }
+        if (parsedCfg.shard) {
+            cfg.shard = parsedCfg.shard;
+        }
+        if (parsedCfg.suiteShard) {
+            cfg.suiteShard = parsedCfg.suiteShard;
+        }
     } catch (ex) {
         console.log('Unable to load paramedic server url: ' + ex);
     }
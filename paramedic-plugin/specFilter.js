@@ -0,0 +1,132 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+// Decides which of the specs of the test page are run: the ones to retry, --filter, --exclude, the specs
+// which were run before the app was relaunched and the shards. It is used by paramedic.js on the device
+// and by the mock device of paramedic, which builds a tree shaped like the one of jasmine.
+
+function createSpecFilter (cfg, rerunSpecs, topSuite) {
+    var specs = rerunSpecs || cfg.specs;
+    // the specs to retry may have been run already before the app was relaunched
+    var skipSpecs = specs ? [] : cfg.skipSpecs || [];
+    var filter = toRegExps(cfg.filter);
+    var exclude = toRegExps(cfg.exclude);
+    var shard = cfg.shard;
+    var suiteShardSpecs = cfg.suiteShard ? getSuiteShardSpecs(topSuite, cfg.suiteShard) : null;
+    if (!specs && skipSpecs.length === 0 && filter.length === 0 && exclude.length === 0 && !shard && !suiteShardSpecs) {
+        return null;
+    }
+
+    function matches (patterns, fullName) {
+        return patterns.some(function (pattern) {
+            return pattern.test(fullName);
+        });
+    }
+
+    return function (spec) {
+        var fullName = spec.getFullName();
+
+        // only the failed specs are run when retrying
+        if (specs && specs.indexOf(fullName) < 0) {
+            return false;
+        }
+        // skip the specs which have already been run before the app was relaunched
+        if (skipSpecs.indexOf(fullName) >= 0) {
+            return false;
+        }
+        // --filter and --exclude
+        if (filter.length > 0 && !matches(filter, fullName)) {
+            return false;
+        }
+        if (matches(exclude, fullName)) {
+            return false;
+        }
+        // the other devices run the rest of the specs when the tests are sharded
+        if (shard && hashString(fullName) % shard.count !== shard.index) {
+            return false;
+        }
+        // the other CI jobs run the rest of the suites, see --shard
+        if (suiteShardSpecs && !suiteShardSpecs.hasOwnProperty(spec.id)) {
+            return false;
+        }
+        return true;
+    };
+}
+
+// jasmine reads env.specFilter only once, when a spec is defined, so the specs are disabled once they all
+// have been defined instead; they are reported as disabled
+function disableSpecs (topSuite, filter) {
+    var disabledSpecs = [];
+
+    forEachSpec(topSuite, function (spec) {
+        if (!filter(spec)) {
+            spec.disable();
+            disabledSpecs.push(spec.getFullName());
+        }
+    });
+
+    return disabledSpecs;
+}
+
+function forEachSpec (node, callback) {
+    if (node.children) {
+        node.children.forEach(function (child) {
+            forEachSpec(child, callback);
+        });
+    } else {
+        callback(node);
+    }
+}
+
+// the same on every device, so that each spec belongs to exactly one shard (djb2)
+function hashString (text) {
+    var hash = 5381;
+    for (var i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+
+    return hash;
+}
+
+// the ids of the specs of the slice of the top level suites, which are dealt out in the order they are registered in
+function getSuiteShardSpecs (topSuite, suiteShard) {
+    var specIds = {};
+
+    topSuite.children.forEach(function (suite, index) {
+        if (index % suiteShard.count === suiteShard.index) {
+            forEachSpec(suite, function (spec) {
+                specIds[spec.id] = true;
+            });
+        }
+    });
+
+    return specIds;
+}
+
+function toRegExps (patterns) {
+    return (patterns || []).map(function (pattern) {
+        return new RegExp(pattern);
+    });
+}
+
+module.exports = {
+    createSpecFilter: createSpecFilter,
+    disableSpecs: disableSpecs,
+    hashString: hashString
+};
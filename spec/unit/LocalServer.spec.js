@@ -0,0 +1,213 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const http = require('http');
+const net = require('net');
+const io = require('socket.io-client');
+const portChecker = require('tcp-port-used');
+const LocalServer = require('../../lib/LocalServer');
+const { logger } = require('../../lib/utils');
+
+describe('LocalServer', () => {
+    let server;
+
+    // resolves the socket.io socket of an app of this run once it is connected
+    function connectApp () {
+        const socket = io.connect('http://127.0.0.1:' + server.port, { forceNew: true, reconnection: false, query: 'token=' + server.token + '&device=test' });
+
+        return new Promise((resolve, reject) => {
+            socket.on('connect_error', reject);
+            socket.on('connect', () => resolve(socket));
+        });
+    }
+
+    // resolves the status and the body of the response to a request to the server
+    function sendRequest (method, requestPath, body) {
+        return new Promise((resolve, reject) => {
+            const request = http.request({ host: '127.0.0.1', port: server.port, method: method, path: requestPath }, (response) => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { text += chunk; });
+                response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text ? JSON.parse(text) : null }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    // posts the events the way the http transport of the app does
+    function postEvents (token, events, connection) {
+        const requestPath = LocalServer.HTTP_EVENTS_PATH + '?token=' + token + '&device=test&connection=' + (connection || 'page-1');
+        return sendRequest('POST', requestPath, JSON.stringify({ events: events || [] }));
+    }
+
+    beforeEach((done) => {
+        LocalServer.startServer({ start: 18000, end: 18999 }).then((localServer) => {
+            server = localServer;
+        }).then(done, done.fail);
+    });
+
+    afterEach(() => {
+        server.cleanUp();
+    });
+
+    it('disconnects the app and frees its port on clean up', (done) => {
+        connectApp().then((socket) => {
+            return new Promise((resolve) => {
+                socket.on('disconnect', () => resolve(portChecker.check(server.port, '127.0.0.1')));
+                server.cleanUp();
+            });
+        }).then((isInUse) => {
+            expect(isInUse).toBe(false);
+        }).then(done, done.fail);
+    });
+
+    it('can be replaced by a server on the same port after clean up', (done) => {
+        server.cleanUp();
+
+        const other = net.createServer();
+        other.on('error', done.fail);
+        other.listen(server.port, () => other.close(done));
+    });
+
+    it('no longer counts a device as connected once it has disconnected', (done) => {
+        connectApp().then((socket) => {
+            const device = server.getDeviceSession('test');
+            expect(device.isDeviceConnected()).toBe(true);
+
+            return new Promise((resolve) => {
+                server.on('disconnect', () => resolve(device));
+                socket.close();
+            });
+        }).then((device) => {
+            expect(device.isDeviceConnected()).toBe(false);
+            expect(server.isDeviceConnected()).toBe(false);
+            expect(() => server.sendToDevice('rerunSpecs', {})).toThrowError(/no device is connected/);
+        }).then(done, done.fail);
+    });
+
+    it('warns once about an app of another run which keeps polling', (done) => {
+        spyOn(logger, 'warn');
+
+        postEvents('stale').then((response) => {
+            expect(response.status).toBe(403);
+            return postEvents('stale');
+        }).then((response) => {
+            expect(response.status).toBe(403);
+            expect(logger.warn.calls.count()).toBe(1);
+            return postEvents(server.token);
+        }).then((response) => {
+            expect(response.status).toBe(200);
+        }).then(done, done.fail);
+    });
+
+    it('only takes the events posted to its events path', (done) => {
+        const eventsPath = LocalServer.HTTP_EVENTS_PATH + '?token=' + server.token;
+
+        sendRequest('POST', '/events?token=' + server.token, '{}').then((response) => {
+            expect(response.status).toBe(404);
+            return sendRequest('GET', eventsPath);
+        }).then((response) => {
+            expect(response.status).toBe(405);
+            return sendRequest('OPTIONS', eventsPath);
+        }).then((response) => {
+            expect(response.status).toBe(204);
+            expect(response.headers['access-control-allow-origin']).toBe('*');
+            return sendRequest('POST', eventsPath, '{"events": [');
+        }).then((response) => {
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/^Invalid events: /);
+            expect(server.getDeviceSessions()).toEqual([]);
+        }).then(done, done.fail);
+    });
+
+    it('emits the posted events once, in order, and answers with the commands for the device', (done) => {
+        const specDone = jasmine.createSpy('specDone');
+        const onConnection = jasmine.createSpy('connection');
+        server.on('specDone', specDone);
+        server.on('connection', onConnection);
+        const events = [
+            { route: 'specDone', data: { id: 'spec1' }, event: { session: 'page-1', seq: 1 } },
+            { route: 'specDone', data: { id: 'spec2' }, event: { session: 'page-1', seq: 2 } },
+            { route: 'unknown', data: {} }
+        ];
+
+        postEvents(server.token, events).then((response) => {
+            expect(response.body).toEqual({ commands: [] });
+            expect(server.isDeviceConnected()).toBe(true);
+            server.sendToDevice('rerunSpecs', { specs: ['camera works'] });
+
+            // the response has been lost, the app posts the events again along with a new one
+            return postEvents(server.token, events.concat({ route: 'specDone', data: { id: 'spec3' }, event: { session: 'page-1', seq: 3 } }));
+        }).then((response) => {
+            expect(response.body).toEqual({ commands: [{ event: 'rerunSpecs', data: { specs: ['camera works'] } }] });
+            expect(specDone.calls.allArgs().map(args => args[0].id)).toEqual(['spec1', 'spec2', 'spec3']);
+            expect(onConnection.calls.count()).toBe(1);
+
+            // the page has been reloaded
+            return postEvents(server.token, [], 'page-2');
+        }).then((response) => {
+            expect(response.body).toEqual({ commands: [] });
+            expect(onConnection.calls.count()).toBe(2);
+            expect(server.getDeviceSessions().length).toBe(1);
+        }).then(done, done.fail);
+    });
+});
+
+describe('LocalServer over http', () => {
+    const query = { token: 'token', device: 'test', connection: 'page-1' };
+
+    beforeEach(() => {
+        jasmine.clock().install();
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('loses a device which stops posting its events', () => {
+        const server = new LocalServer(0);
+        const onDisconnect = jasmine.createSpy('disconnect');
+        server.on('disconnect', onDisconnect);
+
+        server.receiveHttpEvents(query, [], '127.0.0.1');
+        jasmine.clock().tick(9000);
+        server.receiveHttpEvents(query, [], '127.0.0.1');
+        jasmine.clock().tick(9000);
+        expect(server.isDeviceConnected()).toBe(true);
+
+        jasmine.clock().tick(1000);
+        expect(onDisconnect).toHaveBeenCalledWith('http connection timeout', server.getDeviceSession('test'));
+        expect(server.isDeviceConnected()).toBe(false);
+    });
+
+    it('does not lose a device which has reconnected over socket.io', () => {
+        const server = new LocalServer(0);
+        const onDisconnect = jasmine.createSpy('disconnect');
+        server.on('disconnect', onDisconnect);
+
+        server.receiveHttpEvents(query, [], '127.0.0.1');
+        const device = server.getDeviceSession('test');
+        server.connect(device, { emit: () => {} }, 'socket');
+        jasmine.clock().tick(20000);
+
+        expect(onDisconnect).not.toHaveBeenCalled();
+        expect(device.isDeviceConnected()).toBe(true);
+    });
+});
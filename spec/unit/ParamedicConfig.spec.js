@@ -0,0 +1,184 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('shelljs');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicOptions = require('../../lib/ParamedicOptions');
+const { ParamedicRunner } = require('../../lib/paramedic');
+
+describe('ParamedicConfig.parse', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-config-'));
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    const parse = (argv, env) => ParamedicConfig.parse(Object.assign({ _: [] }, argv), env);
+
+    // the configuration files are required, every one gets a name of its own
+    function writeConfig (name, json) {
+        const configPath = path.join(tempDir, name + '.config.json');
+        fs.writeFileSync(configPath, JSON.stringify(json));
+        return configPath;
+    }
+
+    describe('takes a value from the command line over the environment, over the file, over the default', () => {
+        let configPath;
+
+        beforeEach(() => {
+            configPath = writeConfig('precedence', { platform: 'ios', plugins: ['./plugin'], timeout: 1000, retries: 1, transport: 'http', phaseTimeouts: { build: 10, pluginInstall: 20 } });
+        });
+
+        it('for every option', () => {
+            const config = parse({ config: configPath, platform: 'android', retries: '3' }, { PARAMEDIC_PLATFORM: 'browser', PARAMEDIC_TIMEOUT: '2000' });
+
+            expect(config.getPlatformId()).toBe('android');
+            expect(config.getSource('platform')).toBe('cli');
+            expect(config.getRetries()).toBe(3);
+            expect(config.getSource('retries')).toBe('cli');
+            expect(config.getTimeout()).toBe(2000);
+            expect(config.getSource('timeout')).toBe('env');
+            expect(config.getTransport()).toBe('http');
+            expect(config.getSource('transport')).toBe('file');
+            expect(config.getRetryMode()).toBe(ParamedicOptions.DEFAULT_RETRY_MODE);
+            expect(config.getSource('retryMode')).toBe('default');
+        });
+
+        it('for every key of the object options', () => {
+            const config = parse({ config: configPath, phaseTimeouts: { build: 30 } }, { PARAMEDIC_PHASE_TIMEOUTS: '{ "build": 40, "platformAdd": 50 }' });
+
+            expect(config.getPhaseTimeout('build')).toBe(30);
+            expect(config.getPhaseTimeout('platformAdd')).toBe(50);
+            expect(config.getPhaseTimeout('pluginInstall')).toBe(20);
+            expect(config.getPhaseTimeout('testExecution')).toBe(ParamedicOptions.DEFAULT_PHASE_TIMEOUTS.testExecution);
+        });
+
+        it('for the file given in the environment', () => {
+            const config = parse({}, { PARAMEDIC_CONFIG: configPath, PARAMEDIC_RETRIES: '2' });
+
+            expect(config.getPlatformId()).toBe('ios');
+            expect(config.getRetries()).toBe(2);
+            expect(config.getSource('retries')).toBe('env');
+        });
+
+        it('ignores an empty environment variable', () => {
+            const config = parse({ config: configPath }, { PARAMEDIC_TRANSPORT: '' });
+
+            expect(config.getTransport()).toBe('http');
+            expect(config.getSource('transport')).toBe('file');
+        });
+
+        it('validates the values of the command line and of the environment', () => {
+            expect(() => parse({ config: configPath, transport: 'carrier-pigeon' }, { PARAMEDIC_RETRIES: 'twice' })).toThrowError(
+                'Invalid paramedic configuration in the command line and the environment:\n' +
+                '  - "PARAMEDIC_RETRIES" should be an integer, got "twice"\n' +
+                '  - "--transport" should be one of "socket.io", "http", got "carrier-pigeon"');
+        });
+    });
+
+    describe('reads a configuration file which extends another one', () => {
+        it('taking the values of the base file it does not set, merging the object options', () => {
+            writeConfig('base', { platform: 'ios', plugins: ['./plugin'], retries: 2, phaseTimeouts: { build: 10, pluginInstall: 20 } });
+            const configPath = writeConfig('child', { extends: './base', platform: 'android', phaseTimeouts: { build: 30 } });
+            const config = parse({ config: configPath });
+
+            expect(config.getPlatformId()).toBe('android');
+            expect(config.getRetries()).toBe(2);
+            expect(config.getPhaseTimeout('build')).toBe(30);
+            expect(config.getPhaseTimeout('pluginInstall')).toBe(20);
+        });
+
+        it('and tells which files extend each other in a circle', () => {
+            const first = writeConfig('first', { extends: './second.config.json', platform: 'ios' });
+            const second = writeConfig('second', { extends: './third', retries: 1 });
+            const third = writeConfig('third', { extends: './first' });
+
+            expect(() => parse({ config: first })).toThrowError('Circular "extends" in paramedic configuration: ' + [first, second, third, first].join(' -> '));
+        });
+
+        it('and tells when a file extends itself', () => {
+            const configPath = writeConfig('itself', { extends: './itself.config.json' });
+
+            expect(() => parse({ config: configPath })).toThrowError('Circular "extends" in paramedic configuration: ' + configPath + ' -> ' + configPath);
+        });
+
+        it('and tells which file extends a missing one', () => {
+            const configPath = writeConfig('orphan', { extends: './missing.config.json' });
+
+            expect(() => parse({ config: configPath })).toThrowError('Paramedic configuration file does not exist: ' + path.join(tempDir, 'missing.config.json') + ' (extended by ' + configPath + ')');
+        });
+    });
+
+    describe('suggests the option an unknown one was meant to be', () => {
+        it('for a misspelled key of a configuration file', () => {
+            const configPath = writeConfig('typos', { platfrom: 'android', plugin: ['./plugin'], specTimeOut: 1000, phaseTimeouts: { buidl: 10 } });
+
+            expect(() => parse({ config: configPath })).toThrowError('Invalid paramedic configuration in ' + configPath + ':\n' +
+                '  - unknown option "platfrom", did you mean "platform"?\n' +
+                '  - unknown option "plugin", did you mean "plugins"?\n' +
+                '  - unknown option "specTimeOut", did you mean "specTimeout"?\n' +
+                '  - unknown key "phaseTimeouts.buidl", did you mean "build"? Known keys are: ' + Object.keys(ParamedicOptions.DEFAULT_PHASE_TIMEOUTS).join(', '));
+        });
+
+        it('for a misspelled key of a matrix entry', () => {
+            const configPath = writeConfig('matrix', { plugins: ['./plugin'], matrix: [{ platfrom: ['android', 'ios'] }] });
+
+            expect(() => parse({ config: configPath })).toThrowError(/- unknown option "matrix\[0\]\.platfrom\[0\]", did you mean "platform"\?/);
+        });
+
+        it('but none for a key which is nothing like a known one', () => {
+            const configPath = writeConfig('unknown', { platform: 'android', plugins: ['./plugin'], colour: 'blue', phaseTimeouts: { coffee: 10 } });
+
+            expect(() => parse({ config: configPath })).toThrowError('Invalid paramedic configuration in ' + configPath + ':\n' +
+                '  - unknown option "colour"\n' +
+                '  - unknown key "phaseTimeouts.coffee". Known keys are: ' + Object.keys(ParamedicOptions.DEFAULT_PHASE_TIMEOUTS).join(', '));
+        });
+    });
+
+    describe('--justbuild', () => {
+        it('builds the app', () => {
+            const config = parse({ platform: 'android', plugin: './plugin', justbuild: true });
+
+            expect(config.getAction()).toBe('build');
+            expect(config.getSource('action')).toBe('cli');
+        });
+
+        it('leaves an explicit --action to be checked by the runner', () => {
+            const config = parse({ platform: 'android', plugin: './plugin', justbuild: true, action: 'emulate' });
+
+            expect(config.getAction()).toBe('emulate');
+            expect(() => new ParamedicRunner(config).checkConfig()).toThrowError('--justbuild only builds the app, it can\'t be used with --action emulate');
+        });
+
+        it('can be given with --action build', () => {
+            const config = parse({ platform: 'android', plugin: './plugin', justbuild: true }, { PARAMEDIC_ACTION: 'build' });
+
+            expect(config.getAction()).toBe('build');
+            expect(config.getSource('action')).toBe('env');
+            expect(() => new ParamedicRunner(config).checkConfig()).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('path');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicDryRun = require('../../lib/ParamedicDryRun');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+describe('ParamedicDryRun', () => {
+    function createDryRun (argv) {
+        const config = ParamedicConfig.parse(Object.assign({ _: [], platform: 'android', plugin: ['./spec/fixture-server-plugin'] }, argv), {});
+        return new ParamedicDryRun(config, ROOT_DIR);
+    }
+
+    // the commands and the notes in the order they would be run, along with their phase
+    function getSteps (dryRun) {
+        return dryRun.getCommands().map(step => step.phase + ' ' + (step.command ? '$ ' + step.command : '# ' + step.note));
+    }
+
+    it('gives the source of every value and hides the secrets', () => {
+        const dryRun = createDryRun({ sauceKey: 'secret', retries: '2' });
+        const configuration = dryRun.getConfiguration();
+        const get = key => configuration.find(entry => entry.key === key);
+
+        expect(get('platform')).toEqual({ key: 'platform', value: 'android', source: 'cli' });
+        expect(get('retries')).toEqual({ key: 'retries', value: 2, source: 'cli' });
+        expect(get('action')).toEqual({ key: 'action', value: 'run', source: 'default' });
+        expect(get('sauceKey')).toEqual({ key: 'sauceKey', value: '********', source: 'cli' });
+        expect(dryRun.format()).not.toContain('secret');
+    });
+
+    it('lists the commands of a local run in order, with the tests and the fixtures of the local plugins', () => {
+        const pluginDir = path.join(ROOT_DIR, 'spec', 'fixture-server-plugin');
+        const args = ' --no-telemetry --no-update-notifier';
+
+        expect(getSteps(createDryRun({ plugin: ['./spec/fixture-server-plugin', 'cordova-plugin-device'] }))).toEqual([
+            'projectCreate $ cordova create <temp project>' + args,
+            'pluginInstall $ cordova plugin add ' + pluginDir + args,
+            'pluginInstall $ cordova plugin add cordova-plugin-device' + args,
+            'pluginInstall # the fixture server echo of org.apache.cordova.fixture-server-plugin is started on a free port, its address is given in ECHO_SERVER_ADDRESS',
+            'pluginInstall $ cordova plugin add ' + path.join(pluginDir, 'tests') + ' --variable ECHO_SERVER_ADDRESS=http://10.0.2.2:<port chosen at run time>' + args,
+            'pluginInstall # the tests of cordova-plugin-device are added if it has a tests sub-plugin once it is fetched',
+            'pluginInstall $ cordova plugin add cordova-plugin-test-framework' + args,
+            'pluginInstall $ cordova plugin add ' + path.join(ROOT_DIR, 'paramedic-plugin') + args,
+            'platformAdd $ cordova platform add android' + args,
+            'platformAdd $ cordova requirements android' + args,
+            'build $ cordova run android' + args + ' --target <chosen at run time>',
+            'testExecution # the Appium tests of the plugins are run locally'
+        ]);
+    });
+
+    it('notes the reused project, the mock device and the shard instead of building the app', () => {
+        const steps = getSteps(createDryRun({ projectDir: 'app', mockDevice: 'scenario.json', shard: '2/4', skipAppiumTests: true }));
+
+        expect(steps[0]).toBe('projectCreate # the project in ' + path.join(ROOT_DIR, 'app') + ' is reused, only the plugins and the platform which have changed are installed again');
+        expect(steps).toContain('build # the app is not built, a mock device plays the scenario ' + path.join(ROOT_DIR, 'scenario.json') + ' instead');
+        expect(steps).toContain('testExecution # only the suites of shard 2/4 are run, the others are reported as disabled');
+        expect(steps.filter(step => step.indexOf('build $') === 0)).toEqual([]);
+    });
+});
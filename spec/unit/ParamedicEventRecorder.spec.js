@@ -0,0 +1,162 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('shelljs');
+const { EventEmitter } = require('events');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicEventRecorder = require('../../lib/ParamedicEventRecorder');
+const ParamedicReplayServer = require('../../lib/ParamedicReplayServer');
+const { ParamedicRunner } = require('../../lib/paramedic');
+
+function spec (id, description, status) {
+    return { id: id, description: description, fullName: 'camera ' + description, status: status, failedExpectations: [], passedExpectations: [] };
+}
+
+// what the app sends for a run of two specs, one of them failing
+function sendRun (server) {
+    server.emit('connection');
+    server.emit('deviceInfo', { platform: 'Android', model: 'Pixel' });
+    server.emit('jasmineStarted', { totalSpecsDefined: 2 });
+    server.emit('suiteStarted', { id: 'suite1', description: 'camera', fullName: 'camera' });
+    server.emit('specStarted', spec('spec1', 'works', null));
+    server.emit('specDone', spec('spec1', 'works', 'passed'));
+    server.emit('specStarted', spec('spec2', 'on error fails', null));
+    server.emit('specDone', spec('spec2', 'on error fails', 'failed'));
+    server.emit('suiteDone', { id: 'suite1', description: 'camera', fullName: 'camera', status: 'finished' });
+    server.emit('jasmineDone', { specResults: { specExecuted: 2, specFailed: 1 } });
+}
+
+describe('ParamedicEventRecorder', () => {
+    let tempDir;
+    let file;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-recorder-'));
+        file = path.join(tempDir, 'events.ndjson');
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('records the events of the device until it is stopped', () => {
+        const server = new EventEmitter();
+        const recorder = new ParamedicEventRecorder(file);
+        recorder.start(server, { platform: 'android', plugins: ['cordova-plugin-camera'], retries: 1 });
+        sendRun(server);
+        recorder.stop();
+        server.emit('deviceLog', { type: 'log', msg: ['after the run'] });
+
+        const recording = ParamedicEventRecorder.read(file);
+        expect(recording.platform).toBe('android');
+        expect(recording.plugins).toEqual(['cordova-plugin-camera']);
+        expect(recording.retries).toBe(1);
+        expect(recording.events.map(event => event.event)).toEqual(['connection', 'deviceInfo', 'jasmineStarted', 'suiteStarted',
+            'specStarted', 'specDone', 'specStarted', 'specDone', 'suiteDone', 'jasmineDone']);
+        expect(recording.events[0].data).toBeUndefined();
+        expect(recording.events[5].data).toEqual(spec('spec1', 'works', 'passed'));
+        expect(recording.events.every(event => typeof event.time === 'number')).toBe(true);
+    });
+
+    it('explains why a recording cannot be read', () => {
+        fs.writeFileSync(file, '{"event":"connection"}\nnot json\n');
+
+        expect(() => ParamedicEventRecorder.read()).toThrowError('No recording to replay, give the file written with --recordEvents');
+        expect(() => ParamedicEventRecorder.read(path.join(tempDir, 'missing.ndjson'))).toThrowError(/^Cannot read the recording /);
+        expect(() => ParamedicEventRecorder.read(file)).toThrowError(/^Invalid event at line 2 of /);
+    });
+});
+
+describe('ParamedicReplayServer', () => {
+    it('emits the recorded events with their time and ends with a disconnect', (done) => {
+        const server = new ParamedicReplayServer([
+            { time: 1000, event: 'connection' },
+            { time: 1500, event: 'specDone', data: spec('spec1', 'works', 'passed') }
+        ]);
+        const emitted = [];
+        ['connection', 'specDone', 'disconnect'].forEach((route) => {
+            server.on(route, (data) => {
+                emitted.push({ route: route, data: data, time: server.eventTime, connected: server.isDeviceConnected() });
+            });
+        });
+
+        server.on('disconnect', () => {
+            expect(emitted.slice(0, 2)).toEqual([
+                { route: 'connection', data: undefined, time: 1000, connected: true },
+                { route: 'specDone', data: spec('spec1', 'works', 'passed'), time: 1500, connected: true }
+            ]);
+            expect(emitted[2].data).toBe('end of the recording');
+            expect(emitted[2].connected).toBe(false);
+            expect(server.hasPendingEvents()).toBe(false);
+            done();
+        });
+
+        server.start();
+        expect(emitted).toEqual([]);
+    });
+
+    it('does not add a disconnect when the recording ends with one', (done) => {
+        const server = new ParamedicReplayServer([
+            { time: 1000, event: 'connection' },
+            { time: 2000, event: 'disconnect', data: 'transport close' }
+        ]);
+        const disconnect = jasmine.createSpy('disconnect');
+        server.on('disconnect', disconnect);
+
+        server.start();
+        setTimeout(() => {
+            expect(disconnect.calls.allArgs()).toEqual([['transport close']]);
+            done();
+        }, 50);
+    });
+});
+
+describe('ParamedicRunner', () => {
+    describe('when a recorded run is replayed', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-replay-'));
+            spyOn(console, 'log');
+        });
+
+        afterEach(() => {
+            shell.rm('-rf', tempDir);
+        });
+
+        it('reports the results of the recorded run', (done) => {
+            const file = path.join(tempDir, 'events.ndjson');
+            const server = new EventEmitter();
+            const recorder = new ParamedicEventRecorder(file);
+            recorder.start(server, { platform: 'android', plugins: ['cordova-plugin-camera'], retries: 0 });
+            sendRun(server);
+            recorder.stop();
+
+            const runner = new ParamedicRunner(new ParamedicConfig({ plugins: [] }), tempDir);
+            runner.replay(ParamedicEventRecorder.read(file)).then((result) => {
+                expect(result.passed).toBe(false);
+                expect(result.platform).toBe('android');
+                expect(runner.getSpecStatuses()).toEqual({ 'camera works': 'passed', 'camera on error fails': 'failed' });
+            }).then(done, done.fail);
+        });
+    });
+});
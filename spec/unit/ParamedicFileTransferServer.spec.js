@@ -0,0 +1,142 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const http = require('http');
+const ParamedicFileTransferServer = require('../../lib/ParamedicFileTransferServer');
+
+const BOUNDARY = '+++++org.apache.cordova.formBoundary';
+
+function multipartBody (fields, file) {
+    const parts = Object.keys(fields).map(name => '--' + BOUNDARY + '\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + fields[name] + '\r\n');
+    parts.push('--' + BOUNDARY + '\r\nContent-Disposition: form-data; name="file"; filename="' + file.name + '"\r\nContent-Type: text/plain\r\n\r\n' + file.content + '\r\n');
+
+    return parts.join('') + '--' + BOUNDARY + '--\r\n';
+}
+
+describe('ParamedicFileTransferServer', () => {
+    let server;
+    let port;
+
+    // resolves { status, headers, body }, the body as a Buffer
+    function request (method, path, options) {
+        options = options || {};
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port: port, method: method, path: path, headers: options.headers, auth: options.auth }, (response) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+            });
+            req.on('error', reject);
+            req.end(options.body);
+        });
+    }
+
+    const auth = ParamedicFileTransferServer.BASIC_AUTH_USER + ':' + ParamedicFileTransferServer.BASIC_AUTH_PASSWORD;
+
+    beforeEach((done) => {
+        server = new ParamedicFileTransferServer();
+        server.start().then((serverPort) => {
+            port = serverPort;
+        }).then(done, done.fail);
+    });
+
+    afterEach(() => {
+        server.stop();
+    });
+
+    it('listens on a port the system picks', () => {
+        expect(port).toBeGreaterThan(0);
+    });
+
+    it('echoes the fields and the size of the files of a multipart upload', (done) => {
+        const body = multipartBody({ value1: 'test', value2: 'param' }, { name: 'upload.txt', content: 'This file should upload' });
+
+        request('POST', '/upload', { body: body, headers: { 'Content-Type': 'multipart/form-data; boundary=' + BOUNDARY } }).then((response) => {
+            const result = JSON.parse(response.body.toString('utf8'));
+
+            expect(response.status).toBe(200);
+            expect(result.fields).toEqual({ value1: 'test', value2: 'param' });
+            expect(result.files.file).toEqual({ name: 'upload.txt', size: 'This file should upload'.length });
+        }).then(done, done.fail);
+    });
+
+    it('takes a body which is not multipart for the file itself', (done) => {
+        request('PUT', '/upload', { body: 'a file', headers: { 'Content-Type': 'text/plain' } }).then((response) => {
+            expect(JSON.parse(response.body.toString('utf8')).files.file.size).toBe(6);
+        }).then(done, done.fail);
+    });
+
+    it('only accepts the requests of the test user on the basic auth endpoints', (done) => {
+        Promise.all([
+            request('GET', '/download_basic_auth'),
+            request('GET', '/download_basic_auth', { auth: 'cordova_user:wrong' }),
+            request('GET', '/download_basic_auth', { auth: auth }),
+            request('POST', '/upload_basic_auth', { auth: auth, body: 'a file' })
+        ]).then((responses) => {
+            expect(responses[0].status).toBe(401);
+            expect(responses[0].headers['www-authenticate']).toBe('Basic realm="Cordova"');
+            expect(responses[1].status).toBe(401);
+            expect(responses[2].status).toBe(200);
+            expect(responses[2].body.toString('utf8')).toContain('User-agent');
+            expect(responses[3].status).toBe(200);
+        }).then(done, done.fail);
+    });
+
+    it('redirects /redirect/PATH to /PATH', (done) => {
+        request('GET', '/redirect/download?size=10').then((response) => {
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('/download?size=10');
+        }).then(done, done.fail);
+    });
+
+    it('responds to /NNN with that status', (done) => {
+        Promise.all([request('GET', '/404'), request('POST', '/500')]).then((responses) => {
+            expect(responses.map(response => response.status)).toEqual([404, 500]);
+        }).then(done, done.fail);
+    });
+
+    it('sends the latin1 symbols as ISO-8859-1', (done) => {
+        Promise.all([request('GET', '/download_non_utf'), request('POST', '/upload_non_utf', { body: 'a file' })]).then((responses) => {
+            expect(responses[0].headers['content-type']).toBe('text/plain; charset=ISO-8859-1');
+            expect(responses[0].body.toString('latin1')).toBe('¥§©ÆÖÑøøø¼');
+            expect(JSON.parse(responses[1].body.toString('latin1')).latin1Symbols).toBe('¥§©ÆÖÑøøø¼');
+        }).then(done, done.fail);
+    });
+
+    it('echoes the headers of an upload to /upload_echo_headers', (done) => {
+        const headers = { 'Content-Type': 'text/plain', 'CustomHeader1': 'CustomValue1', 'CustomHeader2': ['CustomValue2', 'CustomValue3'] };
+
+        request('POST', '/upload_echo_headers', { body: 'a file', headers: headers }).then((response) => {
+            const echoed = JSON.parse(response.body.toString('utf8'));
+
+            expect(response.status).toBe(200);
+            expect(echoed['content-type']).toBe('text/plain');
+            expect(echoed['content-length']).toBe('6');
+            expect(echoed.customheader1).toBe('CustomValue1');
+            expect(decodeURIComponent(response.body.toString('utf8'))).toMatch(/CustomHeader2[\s\S]*CustomValue2[\s\S]*CustomValue3/i);
+        }).then(done, done.fail);
+    });
+
+    it('only accepts uploads which are posted or put', (done) => {
+        request('GET', '/upload_echo_headers').then((response) => {
+            expect(response.status).toBe(405);
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const shell = require('shelljs');
+const { PluginInfo } = require('cordova-common');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicFixtures = require('../../lib/ParamedicFixtures');
+
+const FIXTURE_PLUGIN = path.join(__dirname, '..', 'fixture-server-plugin');
+const FIXTURE_SCRIPTS = path.join(FIXTURE_PLUGIN, 'tests', 'fixtures');
+
+function get (port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: port, path: urlPath, agent: false }, (response) => {
+            let body = '';
+            response.on('data', (chunk) => { body += chunk; });
+            response.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+}
+
+describe('ParamedicFixtures', () => {
+    let tempDir;
+    let config;
+    let fixtures;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-fixtures-'));
+        config = new ParamedicConfig({ platform: 'android', externalServerUrl: 'http://10.0.0.5' });
+        fixtures = new ParamedicFixtures(config);
+    });
+
+    afterEach(() => {
+        fixtures.stop();
+        shell.rm('-rf', tempDir);
+    });
+
+    // a plugin whose tests declare the given fixtures in their package.json, or writes the file as it is given
+    function createPlugin (fixtureServers, fileName, content) {
+        const testsDir = path.join(tempDir, 'plugin', 'tests');
+        shell.mkdir('-p', testsDir);
+        fs.writeFileSync(path.join(testsDir, fileName || 'package.json'), content !== undefined ? content : JSON.stringify({ paramedic: { fixtures: fixtureServers } }));
+
+        return { id: 'cordova-plugin-test', dir: path.dirname(testsDir) };
+    }
+
+    function script (name) {
+        return path.join(FIXTURE_SCRIPTS, name + '.js');
+    }
+
+    it('starts the fixture servers of the plugin tests and gives their address in the plugin variable', (done) => {
+        const plugin = new PluginInfo(FIXTURE_PLUGIN);
+
+        fixtures.start([plugin]).then(() => {
+            const server = fixtures.servers[plugin.id + '/echo'];
+            expect(fixtures.getVariableArgs(plugin)).toBe(' --variable ECHO_SERVER_ADDRESS=http://10.0.0.5:' + server.port);
+            return get(server.port, '/hello');
+        }).then((body) => {
+            expect(body).toBe('/hello');
+        }).then(done, done.fail);
+    });
+
+    it('stops the fixture servers at the end of the run', (done) => {
+        const plugin = new PluginInfo(FIXTURE_PLUGIN);
+
+        fixtures.start([plugin]).then(() => {
+            const server = fixtures.servers[plugin.id + '/echo'];
+            const port = server.port;
+
+            return new Promise((resolve) => {
+                server.process.on('exit', resolve);
+                fixtures.stop();
+                expect(fixtures.servers).toEqual({});
+            }).then(() => get(port, '/hello'));
+        }).then(() => done.fail('the server is still running'), (error) => {
+            expect(error.code).toBe('ECONNREFUSED');
+            done();
+        });
+    });
+
+    it('gives a placeholder for the address of a server which has not been started', () => {
+        const plugin = new PluginInfo(FIXTURE_PLUGIN);
+        expect(fixtures.getVariableArgs(plugin)).toBe(' --variable ECHO_SERVER_ADDRESS=http://10.0.0.5:<port chosen at run time>');
+    });
+
+    it('fails the run when a server exits before it is ready', (done) => {
+        const plugin = createPlugin([{ name: 'crash', script: script('crash-server'), variable: 'CRASH_SERVER_ADDRESS' }]);
+
+        fixtures.start([plugin]).then(() => done.fail('the server has been started'), (error) => {
+            expect(error.message).toBe('The fixture server crash has exited with code 3 before it was ready');
+            expect(fixtures.servers).toEqual({});
+            done();
+        });
+    });
+
+    it('fails the run when a server is not ready in time, and stops it', (done) => {
+        const plugin = createPlugin([{ name: 'idle', script: script('idle-server'), variable: 'IDLE_SERVER_ADDRESS', readyTimeout: 300 }]);
+        const server = fixtures.getDefinitions(plugin)[0].create(config);
+        const stop = server.stop;
+        let child = null;
+        spyOn(server, 'stop').and.callFake(() => {
+            child = server.process;
+            stop.call(server);
+        });
+
+        server.start().then(() => done.fail('the server has been started'), (error) => {
+            expect(error.message).toBe('The fixture server idle is not ready after 300 ms');
+            expect(server.process).toBe(null);
+            expect(child.killed).toBe(true);
+            done();
+        });
+    });
+
+    it('fails the run when the script of a server cannot be run', (done) => {
+        const plugin = createPlugin([{ name: 'echo', script: script('echo-server'), variable: 'ECHO_SERVER_ADDRESS' }]);
+        const server = fixtures.getDefinitions(plugin)[0].create(config);
+        // the script is run in the tests folder
+        shell.rm('-rf', path.join(plugin.dir, 'tests'));
+
+        server.start().then(() => done.fail('the server has been started'), (error) => {
+            expect(error.message).toMatch(/^The fixture server echo cannot be started: .*ENOENT/);
+            done();
+        });
+    });
+
+    it('fails the run when the script of a server does not exist', (done) => {
+        const plugin = createPlugin([{ script: 'fixtures/missing.js', variable: 'MISSING_SERVER_ADDRESS' }]);
+
+        fixtures.start([plugin]).then(() => done.fail('the server has been started'), (error) => {
+            expect(error.message).toBe('The script of the fixture server MISSING_SERVER_ADDRESS does not exist: ' + path.join(plugin.dir, 'tests', 'fixtures', 'missing.js'));
+            done();
+        });
+    });
+
+    it('only kills the running servers on exit once a server has been started', (done) => {
+        const listeners = process.listenerCount('exit');
+        delete require.cache[require.resolve('../../lib/ParamedicFixtures')];
+        const fresh = new (require('../../lib/ParamedicFixtures'))(config);
+        const plugin = new PluginInfo(FIXTURE_PLUGIN);
+        const other = createPlugin([{ script: script('echo-server'), variable: 'ECHO_SERVER_ADDRESS' }]);
+
+        expect(process.listenerCount('exit')).toBe(listeners);
+        fresh.start([plugin, other]).then(() => {
+            expect(process.listenerCount('exit')).toBe(listeners + 1);
+        }).then(() => {
+            fresh.stop();
+            done();
+        }, (error) => {
+            fresh.stop();
+            done.fail(error);
+        });
+    });
+
+    describe('reads the fixture servers declared by the tests', () => {
+        it('in their paramedic.json', () => {
+            const plugin = createPlugin(null, 'paramedic.json', JSON.stringify({ fixtures: [{ script: 'server.js', variable: 'SERVER_ADDRESS' }] }));
+            expect(fixtures.getDefinitions(plugin).map(fixture => fixture.name)).toEqual(['SERVER_ADDRESS']);
+        });
+
+        it('along with the built-in ones', () => {
+            const definitions = fixtures.getDefinitions({ id: 'cordova-plugin-file-transfer', dir: path.join(tempDir, 'none') });
+            expect(definitions.map(fixture => fixture.variable)).toEqual(['FILETRANSFER_SERVER_ADDRESS']);
+        });
+
+        it('and none when they do not declare any', () => {
+            expect(fixtures.getDefinitions(createPlugin(undefined, 'package.json', '{}'))).toEqual([]);
+        });
+
+        [
+            ['the manifest is not JSON', 'paramedic.json', '{ fixtures', /^Cannot read the fixture servers from .*paramedic\.json: /],
+            ['the fixtures are not an array', 'paramedic.json', '{ "fixtures": {} }', /^The fixture servers in .*paramedic\.json should be an array$/],
+            ['a fixture has no script', null, [{ variable: 'ADDRESS' }], /: "script" should be the path of a Node script, relative to /],
+            ['a variable is not a plugin variable', null, [{ script: 's.js', variable: 'an address' }], /: "variable" should be the name of the plugin variable the address of the server is given in$/],
+            ['the ready path is not absolute', null, [{ script: 's.js', variable: 'ADDRESS', ready: 'health' }], /: "ready" should be the path the server answers once it is ready, e.g. "\/health"$/],
+            ['the ready timeout is not positive', null, [{ script: 's.js', variable: 'ADDRESS', readyTimeout: -1 }], /: "readyTimeout" should be a positive number of ms$/],
+            ['the port variable is not one', null, [{ script: 's.js', variable: 'ADDRESS', portEnv: 'the port' }], /: "portEnv" should be the name of the environment variable the script reads its port from$/]
+        ].forEach((testCase) => {
+            it('and tells when ' + testCase[0], () => {
+                const plugin = typeof testCase[2] === 'string' ? createPlugin(null, testCase[1], testCase[2]) : createPlugin(testCase[2]);
+                expect(() => fixtures.getDefinitions(plugin)).toThrowError(testCase[3]);
+            });
+        });
+
+        it('and names the manifest of an invalid fixture', () => {
+            const plugin = createPlugin([{ variable: 'ADDRESS' }]);
+            expect(() => fixtures.getDefinitions(plugin)).toThrowError(new RegExp('^Invalid fixture server in ' + path.join(plugin.dir, 'tests', 'package.json').replace(/[.\\]/g, '\\$&') + ': '));
+        });
+    });
+});
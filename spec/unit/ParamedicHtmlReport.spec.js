@@ -0,0 +1,91 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('shelljs');
+const ParamedicHtmlReport = require('../../lib/ParamedicHtmlReport');
+
+function spec (description, status, props) {
+    return Object.assign({ description: description, status: status, duration: 10, failedExpectations: [], logs: [] }, props);
+}
+
+describe('ParamedicHtmlReport', () => {
+    let tempDir;
+    let results;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-html-'));
+        results = {
+            startedAt: 1000,
+            finishedAt: 3000,
+            cordova: { version: '8.0.0' },
+            summary: { total: 3, passed: 2, failed: 1, pending: 0, disabled: 0, flaky: 1 },
+            suites: [{
+                description: 'camera',
+                specs: [
+                    spec('works', 'passed', { logs: [{ type: 'log', level: 'log', message: 'taking <a> picture', timestamp: 1500 }] }),
+                    spec('fails', 'failed', { failedExpectations: [{ message: 'Expected <1> to be 2.', stack: 'at spec' }] }),
+                    spec('is flaky', 'passed', { flaky: true, attempts: 2, previousAttempts: [{ status: 'failed', failedExpectations: [{ message: 'Timeout' }] }] })
+                ],
+                suites: []
+            }, {
+                description: 'contacts',
+                specs: [spec('works', 'passed')],
+                suites: []
+            }],
+            logs: [{ type: 'warn', level: 'warn', message: 'outside of the specs', timestamp: 1000 }]
+        };
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('writes the results, the console output of the device, the platform logs and the screenshots', () => {
+        const logFile = path.join(tempDir, 'logcat.txt');
+        const screenshot = path.join(tempDir, 'screenshot.png');
+        fs.writeFileSync(logFile, 'I/chromium <console>');
+        fs.writeFileSync(screenshot, 'png');
+
+        const reportFile = new ParamedicHtmlReport({ platform: 'android', target: { target: 'emulator-5554' }, results: results, logFiles: [logFile], screenshots: [screenshot] }).write(tempDir);
+        const html = fs.readFileSync(reportFile, 'utf8');
+
+        expect(reportFile).toBe(path.join(tempDir, ParamedicHtmlReport.HTML_REPORT_FILE_NAME));
+        expect(html).toContain('<li>Platform: android 8.0.0</li><li>Target: emulator-5554</li><li>Duration: 2000 ms</li>');
+        expect(html).toContain('<span class="flaky">flaky: 1</span>');
+        expect(html).toContain('<summary>Expected &lt;1&gt; to be 2.</summary><pre>at spec</pre>');
+        expect(html).toContain('<span class="flaky">flaky, passed on attempt 2</span>');
+        expect(html).toContain('<summary class="flaky">Attempt 1: failed</summary>');
+        expect(html).toContain('<span class="log-log">[1970-01-01T00:00:01.500Z] log: taking &lt;a&gt; picture</span>');
+        expect(html).toContain('<h2>Console output outside of specs</h2>');
+        expect(html).toContain('<summary>logcat.txt</summary><pre>I/chromium &lt;console&gt;</pre>');
+        expect(html).toContain('<img src="data:image/png;base64,' + Buffer.from('png').toString('base64') + '">');
+    });
+
+    it('only opens the suites with failures', () => {
+        const html = new ParamedicHtmlReport({ platform: 'android', results: results }).render();
+
+        expect(html).toContain('<details open><summary class="failed">camera</summary>');
+        expect(html).toContain('<details><summary class="passed">contacts</summary>');
+        expect(html).not.toContain('<h2>Platform logs</h2>');
+        expect(html).not.toContain('<h2>Screenshots</h2>');
+    });
+});
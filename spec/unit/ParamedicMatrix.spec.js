@@ -0,0 +1,104 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+const shell = require('shelljs');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicMatrix = require('../../lib/ParamedicMatrix');
+
+describe('ParamedicMatrix', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-matrix-'));
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    function parse (json, argv) {
+        const configPath = path.join(tempDir, 'matrix.config.json');
+        fs.writeFileSync(configPath, JSON.stringify(json));
+        return ParamedicConfig.parse(Object.assign({ _: [], config: configPath }, argv), {});
+    }
+
+    it('expands every entry into the combinations of its array values', () => {
+        const config = parse({
+            plugins: ['./plugin', './other-plugin'],
+            shouldUseSauce: true,
+            matrix: [
+                { platform: ['android@7.1.4', 'android@8.0.0'], saucePlatformVersion: ['7.0', '8.0'] },
+                { platform: 'ios', saucePlatformVersion: '10.0' },
+                {
+                    platform: 'browser',
+                    sauceDeviceName: [
+                        { sauceDeviceName: 'chrome', saucePlatformVersion: '59.0' },
+                        { sauceDeviceName: 'firefox', saucePlatformVersion: '54.0' }
+                    ]
+                }
+            ]
+        });
+        const cells = config.expandMatrix();
+
+        expect(cells.map(cell => cell.name)).toEqual([
+            'android@7.1.4_7.0', 'android@7.1.4_8.0', 'android@8.0.0_7.0', 'android@8.0.0_8.0', 'ios', 'browser_chrome_59.0', 'browser_firefox_54.0'
+        ]);
+        expect(cells[2].config.getPlatform()).toBe('android@8.0.0');
+        expect(cells[2].config.getSaucePlatformVersion()).toBe('7.0');
+        expect(cells[6].config.getSauceDeviceName()).toBe('firefox');
+        expect(cells[6].config.getSaucePlatformVersion()).toBe('54.0');
+        cells.forEach((cell) => {
+            expect(cell.config.getPlugins()).toEqual(['./plugin', './other-plugin']);
+            expect(cell.config.shouldUseSauce()).toBe(true);
+        });
+    });
+
+    it('numbers the cells which would have the same name', () => {
+        const cells = parse({ plugins: ['./plugin'], matrix: [{ platform: 'android' }, { platform: 'android', verbose: true }] }).expandMatrix();
+
+        expect(cells.map(cell => cell.name)).toEqual(['android', 'android_2']);
+    });
+
+    it('runs the cells in parallel on their own share of the ports and summarizes their results', (done) => {
+        const config = parse({ plugins: ['./plugin'], startPort: 7000, endPort: 7009, parallel: 2, outputDir: tempDir, matrix: [{ platform: ['android', 'ios', 'browser'] }] });
+        const matrix = new ParamedicMatrix(config);
+        const running = [];
+        spyOn(matrix, 'printSummary');
+        spyOn(matrix, 'runCell').and.callFake((cell, slot) => {
+            running.push({ name: cell.name, ports: matrix.getSlotPorts(slot) });
+            return Q.delay(10).then(() => ({ name: cell.name, passed: cell.name !== 'ios', duration: 1000, summary: null }));
+        });
+
+        matrix.run().then((summary) => {
+            expect(running).toEqual([
+                { name: 'android', ports: { start: 7000, end: 7004 } },
+                { name: 'ios', ports: { start: 7005, end: 7009 } },
+                { name: 'browser', ports: { start: 7000, end: 7004 } }
+            ]);
+            expect(summary.passed).toBe(false);
+            expect(summary.cells.map(cell => cell.name)).toEqual(['android', 'ios', 'browser']);
+            expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'paramedic-matrix.json'), 'utf8')).cells.length).toBe(3);
+            expect(fs.readFileSync(path.join(tempDir, 'paramedic-matrix.html'), 'utf8')).toContain('<td class="failed">failed</td>');
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const ParamedicMockDevice = require('../../lib/ParamedicMockDevice');
+const { runPlugin, defineSpecs } = require('./helpers/paramedicPlugin');
+
+// the suites of defineSpecs
+const SCENARIO = {
+    suites: ['camera', 'contacts', 'device'].map(name => ({
+        description: name,
+        specs: [{ description: 'works' }],
+        suites: [{ description: 'on error', specs: [{ description: 'fails' }] }]
+    }))
+};
+
+const RERUN_SPECS_STORAGE_KEY = 'cordova-paramedic-rerun-specs';
+
+describe('ParamedicMockDevice', () => {
+    describe('disables the same specs as paramedic-plugin on jasmine', () => {
+        [
+            { filter: ['^c'], exclude: ['on error'] },
+            { skipSpecs: ['camera works', 'device on error fails'] },
+            { specs: ['contacts works'] },
+            { shard: { index: 0, count: 3 } },
+            { shard: { index: 2, count: 3 } },
+            { suiteShard: { index: 0, count: 2 } },
+            { suiteShard: { index: 1, count: 2 }, exclude: ['works'] }
+        ].forEach((medicConfig) => {
+            it('with ' + JSON.stringify(medicConfig), (done) => {
+                const disabledSpecs = Object.keys(new ParamedicMockDevice(SCENARIO).getDisabledSpecs(medicConfig));
+
+                runPlugin(medicConfig, defineSpecs).then((result) => {
+                    expect(disabledSpecs.length).toBeGreaterThan(0);
+                    expect(disabledSpecs.sort()).toEqual(result.results.filter(spec => spec.status === 'disabled').map(spec => spec.id).sort());
+                }).then(done, done.fail);
+            });
+        });
+
+        it('after the page has been reloaded to retry some of the specs', (done) => {
+            const mockDevice = new ParamedicMockDevice(SCENARIO);
+            const medicConfig = { skipSpecs: ['device works'] };
+            mockDevice.rerunSpecs = ['device works', 'camera on error fails'];
+            const disabledSpecs = Object.keys(mockDevice.getDisabledSpecs(medicConfig));
+            const sessionItems = {};
+            sessionItems[RERUN_SPECS_STORAGE_KEY] = JSON.stringify(['device works', 'camera on error fails']);
+
+            runPlugin(medicConfig, defineSpecs, sessionItems).then((result) => {
+                expect(disabledSpecs.length).toBe(4);
+                expect(disabledSpecs.sort()).toEqual(result.results.filter(spec => spec.status === 'disabled').map(spec => spec.id).sort());
+                // the specs are only retried once
+                expect(Object.keys(mockDevice.getDisabledSpecs(medicConfig))).toEqual(['spec4']);
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('shelljs');
+const Reporters = require('../../lib/Reporters');
+const ParamedicResultsMerger = require('../../lib/ParamedicResultsMerger');
+const { logger } = require('../../lib/utils');
+const { runPlugin, defineSpecs } = require('./helpers/paramedicPlugin');
+
+describe('ParamedicResultsMerger', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-merge-'));
+        spyOn(logger, 'warn');
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    // the JSON results the CI jobs of the given --shard would write, the device being run with the given medic.json
+    function writeShardResults (runs) {
+        return Promise.all(runs.map(run => runPlugin(run.medicConfig, defineSpecs))).then(pluginRuns => pluginRuns.map((pluginRun, index) => {
+            const outputDir = path.join(tempDir, 'shard' + index);
+            Reporters.replayEvents([new Reporters.JsonReporter(outputDir, [], runs[index].shard)], pluginRun.events);
+            return outputDir;
+        }));
+    }
+
+    it('merges the suites each shard has run', (done) => {
+        const suiteShard = index => ({ index: index, count: 2 });
+
+        writeShardResults([0, 1].map(index => ({ shard: suiteShard(index), medicConfig: { suiteShard: suiteShard(index) } }))).then((inputs) => {
+            const summary = new ParamedicResultsMerger(inputs, path.join(tempDir, 'merged')).merge();
+
+            expect(summary).toEqual(jasmine.objectContaining({ total: 6, passed: 6, disabled: 0 }));
+            expect(logger.warn).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+
+    it('warns about the specs which have been run in more than one shard and merges them once', (done) => {
+        const suiteShard = index => ({ index: index, count: 2 });
+
+        // the second job has run every suite
+        writeShardResults([{ shard: suiteShard(0), medicConfig: { suiteShard: suiteShard(0) } }, { shard: suiteShard(1), medicConfig: {} }]).then((inputs) => {
+            const summary = new ParamedicResultsMerger(inputs, path.join(tempDir, 'merged')).merge();
+
+            expect(summary).toEqual(jasmine.objectContaining({ total: 6, passed: 6, disabled: 0 }));
+            expect(logger.warn).toHaveBeenCalledWith('cordova-paramedic: spec "camera works" has been run in shard 1/2, shard 2/2, only the result of shard 1/2 is merged');
+            expect(logger.warn.calls.count()).toBe(4);
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+const shell = require('shelljs');
+const ParamedicWatcher = require('../../lib/ParamedicWatcher');
+
+describe('ParamedicWatcher', () => {
+    let tempDir;
+    let pluginDir;
+    let watcher;
+
+    // resolves with the files of the next 'change' event
+    function nextChange () {
+        return Q.Promise(resolve => watcher.once('change', resolve));
+    }
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-watcher-'));
+        pluginDir = path.join(tempDir, 'plugin');
+        shell.mkdir('-p', path.join(pluginDir, 'www'), path.join(pluginDir, 'node_modules'), path.join(pluginDir, 'results'));
+        fs.writeFileSync(path.join(pluginDir, 'plugin.xml'), '<plugin />');
+        fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 1;');
+    });
+
+    afterEach(() => {
+        watcher.stop();
+        shell.rm('-rf', tempDir);
+    });
+
+    it('reports the changes of the sub folders at once', (done) => {
+        watcher = new ParamedicWatcher([pluginDir]);
+        watcher.start();
+        const change = jasmine.createSpy('change');
+        watcher.on('change', change);
+
+        fs.writeFileSync(path.join(pluginDir, 'plugin.xml'), '<plugin version="1.0.1" />');
+        fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 2;');
+
+        nextChange().then((changedFiles) => {
+            expect(changedFiles).toContain(path.join(pluginDir, 'plugin.xml'));
+            expect(changedFiles).toContain(path.join(pluginDir, 'www', 'sample.js'));
+            expect(change.calls.count()).toBe(1);
+        }).then(done, done.fail);
+    });
+
+    it('does not report the dependencies and the ignored paths', (done) => {
+        watcher = new ParamedicWatcher([pluginDir], [path.join(pluginDir, 'results')]);
+        watcher.start();
+
+        fs.writeFileSync(path.join(pluginDir, 'node_modules', 'dependency.js'), '');
+        fs.writeFileSync(path.join(pluginDir, 'results', 'paramedic-results.json'), '{}');
+        // only reported once the ignored files would have been
+        setTimeout(() => fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 2;'), 100);
+
+        nextChange().then((changedFiles) => {
+            expect(changedFiles).toEqual([path.join(pluginDir, 'www', 'sample.js')]);
+        }).then(done, done.fail);
+    });
+
+    it('watches the folders created after it has started', (done) => {
+        watcher = new ParamedicWatcher([pluginDir]);
+        watcher.start();
+        const srcDir = path.join(pluginDir, 'src');
+
+        fs.mkdirSync(srcDir);
+        nextChange().then((changedFiles) => {
+            expect(changedFiles).toEqual([srcDir]);
+
+            fs.writeFileSync(path.join(srcDir, 'Sample.java'), 'class Sample {}');
+            return nextChange();
+        }).then((changedFiles) => {
+            expect(changedFiles).toEqual([path.join(srcDir, 'Sample.java')]);
+        }).then(done, done.fail);
+    });
+
+    it('does not report the changes once stopped', (done) => {
+        watcher = new ParamedicWatcher([pluginDir]);
+        watcher.start();
+        const change = jasmine.createSpy('change');
+        watcher.on('change', change);
+
+        fs.writeFileSync(path.join(pluginDir, 'plugin.xml'), '<plugin version="1.0.1" />');
+        setTimeout(() => {
+            watcher.stop();
+            fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 2;');
+            setTimeout(() => {
+                expect(change).not.toHaveBeenCalled();
+                done();
+            }, 800);
+        }, 100);
+    });
+});
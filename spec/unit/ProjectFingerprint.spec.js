@@ -0,0 +1,133 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+const shell = require('shelljs');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const PluginsManager = require('../../lib/PluginsManager');
+const ProjectFingerprint = require('../../lib/ProjectFingerprint');
+
+describe('ProjectFingerprint', () => {
+    let tempDir;
+    let projectDir;
+    let pluginDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-fingerprint-'));
+        projectDir = path.join(tempDir, 'app');
+        pluginDir = path.join(tempDir, 'plugin');
+        shell.mkdir('-p', path.join(projectDir, 'plugins'), path.join(pluginDir, 'www'), path.join(pluginDir, 'node_modules'));
+        fs.writeFileSync(path.join(projectDir, 'config.xml'), '<widget />');
+        fs.writeFileSync(path.join(pluginDir, 'plugin.xml'), '<plugin id="cordova-plugin-sample" version="1.0.0" />');
+        fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 1;');
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('is kept in the project folder for the next runs with the same CLI', () => {
+        const fingerprint = new ProjectFingerprint(projectDir);
+        expect(fingerprint.exists()).toBe(false);
+
+        fingerprint.reset('8.0.0');
+        fingerprint.setPlatform('android@7.0.0');
+        fingerprint.setPlugin('cordova-plugin-device', 'cordova-plugin-device', 'cordova-plugin-device');
+        fingerprint.save();
+
+        const saved = new ProjectFingerprint(projectDir);
+        expect(saved.canReuse('8.0.0')).toBe(true);
+        expect(saved.canReuse('9.0.0')).toBe(false);
+        expect(saved.getPlatform()).toBe('android@7.0.0');
+        expect(saved.getPluginId('cordova-plugin-device')).toBe('cordova-plugin-device');
+
+        shell.rm(path.join(projectDir, 'config.xml'));
+        expect(new ProjectFingerprint(projectDir).canReuse('8.0.0')).toBe(false);
+    });
+
+    it('hashes the sources of a local plugin, not its dependencies', () => {
+        const fingerprint = new ProjectFingerprint(projectDir);
+        const hash = fingerprint.hashPlugin(pluginDir, pluginDir);
+
+        fs.writeFileSync(path.join(pluginDir, 'node_modules', 'dependency.js'), '');
+        expect(fingerprint.hashPlugin(pluginDir, pluginDir)).toBe(hash);
+
+        fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 2;');
+        expect(fingerprint.hashPlugin(pluginDir, pluginDir)).not.toBe(hash);
+
+        expect(fingerprint.hashPlugin('cordova-plugin-device@2.0.0', null)).toBe('cordova-plugin-device@2.0.0');
+    });
+
+    describe('in the PluginsManager', () => {
+        let fingerprint;
+        let pluginsManager;
+
+        beforeEach(() => {
+            fingerprint = new ProjectFingerprint(projectDir);
+            fingerprint.reset('8.0.0');
+            pluginsManager = new PluginsManager(projectDir, tempDir, new ParamedicConfig({ platform: 'android', plugins: ['./plugin'] }));
+            pluginsManager.setFingerprint(fingerprint);
+            // stands in for cordova plugin add
+            spyOn(pluginsManager, 'installPluginFromSpec').and.callFake(() => {
+                shell.mkdir('-p', path.join(projectDir, 'plugins', 'cordova-plugin-sample'));
+                shell.cp(path.join(pluginDir, 'plugin.xml'), path.join(projectDir, 'plugins', 'cordova-plugin-sample'));
+                return Q();
+            });
+        });
+
+        it('only installs a plugin again once it has changed', (done) => {
+            pluginsManager.installPlugins(['./plugin'])
+                .then(() => {
+                    expect(pluginsManager.installPluginFromSpec.calls.count()).toBe(1);
+                    expect(new ProjectFingerprint(projectDir).getPluginId(pluginDir)).toBe('cordova-plugin-sample');
+                    return pluginsManager.installPlugins(['./plugin']);
+                })
+                .then(() => {
+                    expect(pluginsManager.installPluginFromSpec.calls.count()).toBe(1);
+                    fs.writeFileSync(path.join(pluginDir, 'www', 'sample.js'), 'module.exports = 2;');
+                    // stands in for cordova plugin rm
+                    spyOn(pluginsManager, 'uninstallPlugin').and.callFake(() => {
+                        shell.rm('-rf', path.join(projectDir, 'plugins', 'cordova-plugin-sample'));
+                        return Q();
+                    });
+                    return pluginsManager.installPlugins(['./plugin']);
+                })
+                .then(() => {
+                    expect(pluginsManager.uninstallPlugin).toHaveBeenCalledWith(pluginDir);
+                    expect(pluginsManager.installPluginFromSpec.calls.count()).toBe(2);
+                    expect(new ProjectFingerprint(projectDir).isPluginUpToDate(pluginDir, fingerprint.hashPlugin(pluginDir, pluginDir))).toBe(true);
+                })
+                .then(done, done.fail);
+        });
+
+        it('forgets the plugins which are not used anymore', (done) => {
+            fingerprint.setPlugin('cordova-plugin-device', 'cordova-plugin-device', null);
+
+            pluginsManager.installPlugins(['./plugin'])
+                .then(() => pluginsManager.uninstallStalePlugins())
+                .then(() => {
+                    expect(new ProjectFingerprint(projectDir).getPluginSpecs()).toEqual([pluginDir]);
+                })
+                .then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('shelljs');
+const { JsonReporter, JUnitReporter, setEventTime } = require('../../lib/Reporters');
+
+describe('JUnitReporter', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-junit-'));
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    // the content of the JUnit file of a suite with a failed spec which has logged the message
+    function writeResults (message, failure) {
+        const reporter = new JUnitReporter(tempDir);
+        const suite = { id: 'suite1', description: 'camera', fullName: 'camera' };
+        const spec = { id: 'spec1', description: 'works', fullName: 'camera works' };
+
+        reporter.jasmineStarted({ totalSpecsDefined: 1 });
+        reporter.suiteStarted(suite);
+        reporter.specStarted(spec);
+        reporter.deviceLog({ type: 'log', level: 'log', msg: [message], timestamp: 1000 });
+        reporter.specDone(Object.assign({ status: 'failed', failedExpectations: [{ message: failure, stack: failure }], passedExpectations: [] }, spec));
+        reporter.suiteDone(Object.assign({ status: 'finished' }, suite));
+        reporter.jasmineDone({});
+
+        return fs.readFileSync(path.join(tempDir, fs.readdirSync(tempDir)[0]), 'utf8');
+    }
+
+    it('writes the console output of the device without the characters XML does not allow', () => {
+        const xml = writeResults('\u001b[31mred\u001b[39m <tag> & "quoted"\u0000\u0007\tend', 'failed');
+
+        expect(xml).toContain('<system-out>[1970-01-01T00:00:01.000Z] log: red &lt;tag&gt; &amp; &quot;quoted&quot;\ufffd\ufffd\tend</system-out>');
+    });
+
+    it('writes the failures of the device without the characters XML does not allow', () => {
+        const xml = writeResults('log', 'Expected \u0001 to be \u001f.');
+
+        const controlChars = xml.split('').filter(char => char < ' ' && '\t\n\r'.indexOf(char) < 0);
+        expect(controlChars).toEqual([]);
+        expect(xml).toContain('Expected \ufffd to be \ufffd.');
+    });
+});
+
+describe('JsonReporter', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-json-'));
+    });
+
+    afterEach(() => {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('writes the results of the run to paramedic-results.json', () => {
+        const reporter = new JsonReporter(tempDir, ['cordova-plugin-camera']);
+        const camera = { id: 'suite1', description: 'camera', fullName: 'camera' };
+        const onError = { id: 'suite2', description: 'on error', fullName: 'camera on error' };
+        const at = time => setEventTime([reporter], time);
+
+        at(1000);
+        reporter.jasmineStarted({ totalSpecsDefined: 3 });
+        reporter.deviceInfo({ platform: 'Android', model: 'Pixel' });
+        reporter.deviceLog({ type: 'log', level: 'log', msg: ['starting', { tests: 3 }], timestamp: 1000 });
+        reporter.suiteStarted(camera);
+        reporter.specStarted({ id: 'spec1' });
+        at(1500);
+        reporter.specDone({ id: 'spec1', description: 'works', fullName: 'camera works', status: 'passed' });
+        reporter.suiteStarted(onError);
+        reporter.specStarted({ id: 'spec2' });
+        reporter.deviceLog({ type: 'error', msg: ['no camera'], timestamp: 1600 });
+        at(2000);
+        reporter.specDone({ id: 'spec2', description: 'fails', fullName: 'camera on error fails', status: 'failed', failedExpectations: [{ message: 'Expected 1 to be 2.', stack: 'at spec' }] });
+        reporter.specDone({ id: 'spec3', description: 'is pending', fullName: 'camera on error is pending', status: 'pending' });
+        reporter.suiteDone(onError);
+        reporter.suiteDone(camera);
+        reporter.jasmineDone({ cordova: { platform: 'android' } });
+
+        const results = JSON.parse(fs.readFileSync(path.join(tempDir, 'paramedic-results.json'), 'utf8'));
+        expect(results.device).toEqual({ platform: 'Android', model: 'Pixel' });
+        expect(results.cordova).toEqual({ platform: 'android' });
+        expect(results.plugins).toEqual(['cordova-plugin-camera']);
+        expect(results.duration).toBe(1000);
+        expect(results.summary).toEqual({ total: 3, passed: 1, failed: 1, pending: 1, disabled: 0, flaky: 0 });
+        expect(results.logs).toEqual([{ type: 'log', level: 'log', message: 'starting {"tests":3}', timestamp: 1000 }]);
+        expect(results.specs.map(spec => [spec.fullName, spec.suite, spec.suitePath, spec.status, spec.duration])).toEqual([
+            ['camera works', 'camera', ['camera'], 'passed', 500],
+            ['camera on error fails', 'camera on error', ['camera', 'on error'], 'failed', 500],
+            ['camera on error is pending', 'camera on error', ['camera', 'on error'], 'pending', null]
+        ]);
+        expect(results.specs[1].failedExpectations).toEqual([{ message: 'Expected 1 to be 2.', stack: 'at spec' }]);
+        expect(results.specs[1].logs).toEqual([{ type: 'error', level: 'error', message: 'no camera', timestamp: 1600 }]);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const jasmineRequire = require('jasmine-core');
+
+const PLUGIN_DIR = path.join(__dirname, '..', '..', '..', 'paramedic-plugin');
+
+// the version cordova-plugin-test-framework bundles, which reads env.specFilter when a spec is defined
+const j$ = jasmineRequire.core(jasmineRequire);
+
+function createStorage (items) {
+    return {
+        getItem: key => items.hasOwnProperty(key) ? items[key] : null,
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+// the socket.io socket of the plugin, it keeps the events the plugin sends to the server the way an
+// EventsReporter does, the commands of the server are triggered by the specs
+function createSocket () {
+    const listeners = {};
+    const events = [];
+
+    return {
+        connected: true,
+        events: events,
+        on: (event, listener) => { (listeners[event] = listeners[event] || []).push(listener); },
+        trigger: (event, data) => (listeners[event] || []).forEach(listener => listener(data)),
+        emit: (route, data, event, ack) => {
+            events.push({ route: route, data: data, time: Date.now() });
+            ack();
+        },
+        close: () => {}
+    };
+}
+
+// Runs paramedic.js the way the app does, with the given medic.json, the specs being defined by define.
+// The session storage outlives the page, pass the sessionItems of a run to the next one to reload the page.
+// The globals are added to the ones of the page, e.g. the device of cordova-plugin-device.
+function runPlugin (medicConfig, define, sessionItems, globals) {
+    const env = new j$.Env();
+    const testsModule = { defineAutoTests: () => define(env) };
+    const socket = createSocket();
+    const modules = {};
+    sessionItems = sessionItems || {};
+
+    const sandbox = {
+        console: { log: () => {} },
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        setInterval: () => 0,
+        jasmine: { getEnv: () => env },
+        XMLHttpRequest: function () {
+            this.open = () => {};
+            this.send = () => { this.responseText = JSON.stringify(medicConfig); };
+        }
+    };
+    sandbox.window = {
+        console: sandbox.console,
+        localStorage: createStorage({}),
+        sessionStorage: createStorage(sessionItems),
+        location: { reload: () => {} },
+        addEventListener: () => {}
+    };
+    // cordova is ready as soon as the plugin is loaded
+    sandbox.document = {
+        addEventListener: (event, listener) => { if (event === 'deviceready') listener(); }
+    };
+    Object.assign(sandbox, globals);
+    sandbox.cordova = {
+        version: 'test',
+        require: name => {
+            if (name === 'cordova-plugin-paramedic.socket.io') {
+                return { connect: (uri, options) => { socket.query = options.query; return socket; } };
+            }
+            if (name === 'cordova-plugin-test-framework.cdvtests') return testsModule;
+            return sandbox.require(name);
+        }
+    };
+    sandbox.require = (name) => {
+        const id = name.replace('cordova-plugin-paramedic.', '');
+        if (!modules[id]) {
+            const module = { exports: {} };
+            const source = fs.readFileSync(path.join(PLUGIN_DIR, id + '.js'), 'utf8');
+            vm.runInContext('(function (require, exports, module) {' + source + '\n})', sandbox)(sandbox.require, module.exports, module);
+            modules[id] = module;
+        }
+        return modules[id].exports;
+    };
+    vm.createContext(sandbox);
+    sandbox.require('paramedic');
+
+    return new Promise((resolve) => {
+        const statuses = {};
+        const results = [];
+        testsModule.defineAutoTests();
+        env.addReporter({
+            specDone: (result) => {
+                statuses[result.fullName] = result.status;
+                results.push(result);
+            },
+            jasmineDone: () => resolve({ statuses: statuses, results: results, events: socket.events, socket: socket, sessionItems: sessionItems, window: sandbox.window })
+        });
+        env.execute();
+    });
+}
+
+// three suites of two specs, the suites are dealt out in this order to the suite shards
+function defineSpecs (env) {
+    ['camera', 'contacts', 'device'].forEach((name) => {
+        env.describe(name, () => {
+            env.it('works', () => {});
+            env.describe('on error', () => {
+                env.it('fails', () => {});
+            });
+        });
+    });
+}
+
+// the full names of the specs which have been run, sorted
+function runSpecs (statuses) {
+    return Object.keys(statuses).filter(fullName => statuses[fullName] !== 'disabled').sort();
+}
+
+module.exports = {
+    runPlugin: runPlugin,
+    defineSpecs: defineSpecs,
+    runSpecs: runSpecs
+};
@@ -0,0 +1,224 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const http = require('http');
+const LocalServer = require('../../lib/LocalServer');
+const { runPlugin, defineSpecs, runSpecs } = require('./helpers/paramedicPlugin');
+
+describe('the spec filter of paramedic-plugin', () => {
+    it('runs every spec when nothing is filtered', (done) => {
+        runPlugin({}, defineSpecs).then((result) => {
+            expect(runSpecs(result.statuses).length).toBe(6);
+        }).then(done, done.fail);
+    });
+
+    it('applies --filter and --exclude', (done) => {
+        runPlugin({ filter: ['^c'], exclude: ['on error'] }, defineSpecs).then((result) => {
+            expect(runSpecs(result.statuses)).toEqual(['camera works', 'contacts works']);
+            expect(result.statuses['device works']).toBe('disabled');
+        }).then(done, done.fail);
+    });
+
+    it('skips the specs which were run before the app was relaunched', (done) => {
+        runPlugin({ skipSpecs: ['camera works', 'device on error fails'] }, defineSpecs).then((result) => {
+            expect(runSpecs(result.statuses)).toEqual(['camera on error fails', 'contacts on error fails', 'contacts works', 'device works']);
+        }).then(done, done.fail);
+    });
+
+    it('only runs the specs to retry after the page was reloaded', (done) => {
+        const sessionItems = { 'cordova-paramedic-rerun-specs': JSON.stringify(['contacts works']) };
+        runPlugin({ skipSpecs: ['contacts works'] }, defineSpecs, sessionItems).then((result) => {
+            expect(runSpecs(result.statuses)).toEqual(['contacts works']);
+            expect(result.sessionItems['cordova-paramedic-rerun-specs']).toBeUndefined();
+        }).then(done, done.fail);
+    });
+
+    it('runs each spec in exactly one of the shards', (done) => {
+        const count = 3;
+        const shards = [0, 1, 2].map(index => runPlugin({ shard: { index: index, count: count } }, defineSpecs));
+        Promise.all(shards).then((results) => {
+            const all = [].concat.apply([], results.map(result => runSpecs(result.statuses)));
+            expect(all.sort()).toEqual(Object.keys(results[0].statuses).sort());
+        }).then(done, done.fail);
+    });
+
+    it('deals the top level suites out to the suite shards', (done) => {
+        const shards = [0, 1].map(index => runPlugin({ suiteShard: { index: index, count: 2 } }, defineSpecs));
+        Promise.all(shards).then((results) => {
+            expect(runSpecs(results[0].statuses)).toEqual(['camera on error fails', 'camera works', 'device on error fails', 'device works']);
+            expect(runSpecs(results[1].statuses)).toEqual(['contacts on error fails', 'contacts works']);
+        }).then(done, done.fail);
+    });
+});
+
+describe('the device id paramedic-plugin presents to the server', () => {
+    const getDeviceId = result => new URLSearchParams(result.socket.query).get('device');
+
+    it('is the platform, model and uuid reported by cordova-plugin-device', (done) => {
+        const device = { platform: 'Android', model: 'Pixel 3', version: '10', uuid: 'f2a6b3c1' };
+        runPlugin({ token: 'secret' }, defineSpecs, null, { device: device }).then((result) => {
+            expect(getDeviceId(result)).toBe('Android/Pixel 3/f2a6b3c1');
+        }).then(done, done.fail);
+    });
+
+    it('is an id kept in the local storage without cordova-plugin-device', (done) => {
+        runPlugin({ token: 'secret' }, defineSpecs).then((result) => {
+            expect(getDeviceId(result)).toMatch(/^[a-z0-9]+-[a-z0-9]+$/);
+        }).then(done, done.fail);
+    });
+});
+
+describe('the logs paramedic-plugin sends to the server', () => {
+    // the arguments of the console.log call, as the server receives them
+    function log (value) {
+        return runPlugin({}, defineSpecs).then((result) => {
+            result.window.console.log('value:', value);
+            const event = result.events[result.events.length - 1];
+            expect(event.route).toBe('deviceLog');
+            return event.data.msg[1];
+        });
+    }
+
+    it('only serializes the own properties of an object', (done) => {
+        const value = Object.create({ inherited: true });
+        value.own = 'yes';
+        log(value).then((serialized) => {
+            expect(serialized).toEqual({ own: 'yes' });
+        }).then(done, done.fail);
+    });
+
+    it('serializes the first 100 items of a large array', (done) => {
+        const value = [];
+        for (let i = 0; i < 1000; i++) value.push(i);
+        log(value).then((serialized) => {
+            expect(serialized.length).toBe(101);
+            expect(serialized[99]).toBe(99);
+            expect(serialized[100]).toBe('[900 more]');
+        }).then(done, done.fail);
+    });
+
+    it('serializes the first 100 keys of a large object', (done) => {
+        const value = {};
+        for (let i = 0; i < 1000; i++) value['key' + i] = i;
+        log(value).then((serialized) => {
+            expect(Object.keys(serialized).length).toBe(101);
+            expect(serialized['...']).toBe('[900 more]');
+        }).then(done, done.fail);
+    });
+
+    it('truncates what is serialized once the log is long enough', (done) => {
+        const value = [];
+        for (let i = 0; i < 50; i++) value.push('x'.repeat(10000));
+        log(value).then((serialized) => {
+            expect(JSON.stringify(serialized).length).toBeLessThan(110000);
+            expect(serialized[0]).toBe('x'.repeat(10000));
+            expect(serialized[serialized.length - 2]).toMatch(/^x+\[Truncated\]$/);
+            expect(serialized[serialized.length - 1]).toMatch(/^\[\d+ more\]$/);
+        }).then(done, done.fail);
+    });
+
+    it('describes a DOM node by its name', (done) => {
+        log({ nodeType: 1, nodeName: 'DIV', ownerDocument: { body: {} } }).then((serialized) => {
+            expect(serialized).toBe('[DIV]');
+        }).then(done, done.fail);
+    });
+});
+
+describe('paramedic-plugin posting its events over http', () => {
+    let server;
+    let intervals;
+
+    // the XMLHttpRequest of the page: it reads medic.json and posts the events to the server
+    function createXMLHttpRequest (medicConfig) {
+        return function () {
+            const finish = (status, text) => {
+                this.status = status;
+                this.responseText = text;
+                this.readyState = 4;
+                this.onreadystatechange();
+            };
+
+            this.open = (method, requestUrl) => {
+                this.method = method;
+                this.url = requestUrl;
+            };
+            this.setRequestHeader = () => {};
+            this.send = (body) => {
+                if (this.method === 'GET') {
+                    this.responseText = JSON.stringify(medicConfig);
+                    return;
+                }
+
+                const request = http.request(this.url, { method: this.method }, (response) => {
+                    let text = '';
+                    response.setEncoding('utf8');
+                    response.on('data', (chunk) => { text += chunk; });
+                    response.on('end', () => finish(response.statusCode, text));
+                });
+                request.on('error', () => finish(0, ''));
+                request.end(body);
+            };
+        };
+    }
+
+    beforeEach((done) => {
+        intervals = [];
+        LocalServer.startServer({ start: 18000, end: 18999 }).then((localServer) => {
+            server = localServer;
+        }).then(done, done.fail);
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        server.cleanUp();
+    });
+
+    it('sends the events of the run in order and takes the commands of the server', (done) => {
+        const medicConfig = { logurl: 'http://127.0.0.1:' + server.port, token: server.token, transport: 'http' };
+        const globals = {
+            XMLHttpRequest: createXMLHttpRequest(medicConfig),
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            setInterval: (fn, delay) => {
+                const interval = setInterval(fn, delay);
+                intervals.push(interval);
+                return interval;
+            }
+        };
+        const received = [];
+        server.on('specDone', data => received.push(data.fullName));
+        const serverDone = new Promise(resolve => server.once('jasmineDone', resolve));
+
+        runPlugin(medicConfig, defineSpecs, {}, globals).then((result) => {
+            return serverDone.then(() => {
+                expect(received).toEqual(result.results.map(spec => spec.fullName));
+                expect(received.length).toBe(6);
+                expect(server.isDeviceConnected()).toBe(true);
+
+                // the command comes with the response to the next post
+                return new Promise((resolve) => {
+                    result.window.location.reload = () => resolve(result.sessionItems);
+                    server.sendToDevice('rerunSpecs', { specs: ['camera works'] });
+                });
+            });
+        }).then((sessionItems) => {
+            expect(JSON.parse(sessionItems['cordova-paramedic-rerun-specs'])).toEqual(['camera works']);
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,278 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+const shell = require('shelljs');
+const ParamedicConfig = require('../../lib/ParamedicConfig');
+const ParamedicTargetChooser = require('../../lib/ParamedicTargetChooser');
+const ParamedicWatcher = require('../../lib/ParamedicWatcher');
+const { ParamedicRunner } = require('../../lib/paramedic');
+const { logger, exec, execPromise, utilities } = require('../../lib/utils');
+const { runPlugin, defineSpecs, runSpecs } = require('./helpers/paramedicPlugin');
+
+function createRunner (json) {
+    const runner = new ParamedicRunner(new ParamedicConfig(Object.assign({ platform: 'android', plugins: ['./plugin'] }, json)));
+    runner.server = { token: 'token' };
+    runner.reporters = [];
+    runner.reportedEvents = { suiteStarted: {}, suiteDone: {}, specStarted: {}, specDone: {} };
+    // the app is not launched, see relaunchApp
+    runner.mockDevices = [];
+    spyOn(runner, 'relaunchApp').and.returnValue({ fail: () => {} });
+
+    return runner;
+}
+
+function specDone (id, fullName, status) {
+    return { id: id, fullName: fullName, status: status, failedExpectations: [], passedExpectations: [] };
+}
+
+describe('ParamedicRunner', () => {
+    describe('when the app is relaunched after a spec has timed out', () => {
+        it('skips the specs which have been reported already, including the one which has timed out', (done) => {
+            const runner = createRunner({ specTimeout: 1000, specTimeoutAction: 'restart' });
+            runner.startTestsCommand = 'cordova run android';
+            runner.report('specDone', specDone('spec1', 'camera works', 'passed'));
+            runner.onSpecTimeout(specDone('spec2', 'camera on error fails'));
+
+            const medicConfig = runner.getMedicConfig('http://127.0.0.1:8008');
+            expect(runner.relaunchApp).toHaveBeenCalled();
+            expect(medicConfig.skipSpecs).toEqual(['camera works', 'camera on error fails']);
+
+            runPlugin(medicConfig, defineSpecs).then((result) => {
+                expect(runSpecs(result.statuses)).toEqual(['contacts on error fails', 'contacts works', 'device on error fails', 'device works']);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('when the failed specs are retried in the running app', () => {
+        // 'flaky works' only fails the first time
+        function defineFlakySpecs (attempts) {
+            return (env) => {
+                defineSpecs(env);
+                env.describe('flaky', () => {
+                    env.it('works', () => env.expect(attempts.count++).toBeGreaterThan(0));
+                });
+            };
+        }
+
+        it('only runs the failed specs after the page has been reloaded', (done) => {
+            const runner = createRunner({ retries: 1, retryMode: 'session' });
+            const attempts = { count: 0 };
+            runner.server.isDeviceConnected = () => true;
+            runner.server.sendToDevice = jasmine.createSpy('sendToDevice');
+            spyOn(logger, 'warn');
+            const medicConfig = runner.getMedicConfig('http://127.0.0.1:8008');
+
+            runPlugin(medicConfig, defineFlakySpecs(attempts)).then((firstRun) => {
+                firstRun.results.forEach(result => runner.report('specDone', result));
+                expect(runner.shouldRetryFailedSpecs()).toBe(true);
+
+                return runner.retryFailedSpecs().then(() => {
+                    expect(runner.server.sendToDevice).toHaveBeenCalledWith('rerunSpecs', { specs: ['flaky works'] });
+                    // the plugin keeps the specs in the session storage and reloads the page
+                    firstRun.socket.trigger('rerunSpecs', runner.server.sendToDevice.calls.mostRecent().args[1]);
+
+                    return runPlugin(medicConfig, defineFlakySpecs(attempts), firstRun.sessionItems);
+                });
+            }).then((retry) => {
+                expect(runSpecs(retry.statuses)).toEqual(['flaky works']);
+                retry.results.forEach(result => runner.report('specDone', result));
+                expect(runner.failedSpecs).toEqual({});
+                expect(logger.warn).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+
+        it('warns about the specs which are run although they are not retried', () => {
+            const runner = createRunner({ retries: 1 });
+            spyOn(logger, 'warn');
+            runner.retryAttempt = 1;
+            runner.retriedSpecs = { spec1: specDone('spec1', 'camera works', 'failed') };
+
+            runner.report('specDone', specDone('spec2', 'camera on error fails', 'disabled'));
+            expect(logger.warn).not.toHaveBeenCalled();
+            runner.report('specDone', specDone('spec2', 'camera on error fails', 'passed'));
+            expect(logger.warn).toHaveBeenCalledWith('cordova-paramedic: spec "camera on error fails" has been run although it is not retried, its result is ignored');
+        });
+    });
+
+    describe('when the tests are split between several devices', () => {
+        // the shards report what the plugin has sent, the merged results are collected instead of written
+        function runShards (medicConfigs) {
+            const runner = createRunner({ shards: medicConfigs.length });
+            const reported = { specDone: [], jasmineDone: null };
+            runner.tempFolder = { name: 'project' };
+            spyOn(ParamedicTargetChooser.prototype, 'chooseTargetsForAndroid').and.returnValue(Q(medicConfigs.map((medicConfig, index) => ({ target: 'emulator-' + index }))));
+            spyOn(runner, 'runAppiumTests').and.returnValue(Q(utilities.TEST_PASSED));
+            spyOn(runner, 'createReporters').and.callFake(() => {
+                runner.reporters = [{
+                    specDone: spec => reported.specDone.push(spec.fullName + ': ' + spec.status),
+                    jasmineDone: (data) => { reported.jasmineDone = data; }
+                }];
+            });
+
+            return Promise.all(medicConfigs.map(medicConfig => runPlugin(medicConfig, defineSpecs))).then((runs) => {
+                spyOn(runner, 'createShardRunner').and.callFake((targetObj, index) => ({
+                    runShard: () => Q(utilities.TEST_PASSED),
+                    eventsReporter: { events: runs[index].events },
+                    logFiles: [],
+                    phaseTimings: {}
+                }));
+
+                return runner.runShards();
+            }).then(() => reported);
+        }
+
+        it('reports every spec once, run by the shard it belongs to', (done) => {
+            spyOn(logger, 'warn');
+            runShards([{ shard: { index: 0, count: 2 } }, { shard: { index: 1, count: 2 } }]).then((reported) => {
+                expect(reported.specDone.length).toBe(6);
+                expect(reported.specDone.every(spec => /: passed$/.test(spec))).toBe(true);
+                expect(reported.jasmineDone.specResults).toEqual({ specExecuted: 6, specFailed: 0 });
+                expect(logger.warn).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+
+        it('warns about the specs which have been run on more than one shard and counts them once', (done) => {
+            spyOn(logger, 'warn');
+            runShards([{ shard: { index: 0, count: 2 } }, {}]).then((reported) => {
+                expect(reported.specDone.length).toBe(6);
+                expect(reported.jasmineDone.specResults).toEqual({ specExecuted: 6, specFailed: 0 });
+                expect(logger.warn).toHaveBeenCalledWith(jasmine.stringMatching(/^cordova-paramedic: spec ".*" has been run on shard 1\/2, shard 2\/2, it is only reported once$/));
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('when a phase is run', () => {
+        beforeEach(() => {
+            spyOn(console, 'log');
+        });
+
+        it('records how long it has taken', (done) => {
+            const runner = createRunner({});
+            runner.runPhase('projectCreate', () => Q.delay(20).then(() => 'created')).then((result) => {
+                expect(result).toBe('created');
+                expect(runner.phaseTimings.projectCreate).toBeGreaterThan(10);
+            }).then(done, done.fail);
+        });
+
+        it('stops the commands of the phase once it has timed out', (done) => {
+            const runner = createRunner({ phaseTimeouts: { pluginInstall: 100 } });
+            let child;
+            runner.runPhase('pluginInstall', () => {
+                const installing = execPromise('sleep 10');
+                child = exec.getRunningProcesses().pop();
+                return installing;
+            }).then(() => {
+                throw new Error('the phase should have timed out');
+            }, (error) => {
+                expect(error.message).toBe('Phase "pluginInstall" timed out after 100 ms.');
+                expect(runner.phaseTimings.pluginInstall).toBeGreaterThan(90);
+                expect(exec.getRunningProcesses()).not.toContain(child);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('when the local plugins are watched', () => {
+        let tempDir;
+        let runner;
+        let watcher;
+        let iterations;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paramedic-watch-'));
+            shell.mkdir('-p', path.join(tempDir, 'plugin'), path.join(tempDir, 'plugin-tests'));
+
+            runner = createRunner({ plugins: ['./plugin', './plugin-tests', 'cordova-plugin-device'] });
+            runner.storedCWD = tempDir;
+            runner.tempFolder = { name: path.join(tempDir, 'app') };
+            iterations = [];
+            spyOn(runner, 'rerunTests').and.callFake((paramedicApp, changedPlugins) => {
+                const iteration = Q.defer();
+                iterations.push({ plugins: changedPlugins, deferred: iteration });
+                return iteration.promise;
+            });
+            spyOn(runner, 'getSpecStatuses').and.returnValue({});
+            spyOn(runner, 'printSpecsDiff');
+            spyOn(ParamedicWatcher.prototype, 'start').and.callFake(function () { watcher = this; });
+            spyOn(ParamedicWatcher.prototype, 'stop');
+        });
+
+        afterEach(() => {
+            shell.rm('-rf', tempDir);
+        });
+
+        it('runs the tests again for the changed plugins until it is stopped', (done) => {
+            const watching = runner.watchPlugins({}, true);
+            expect(watcher.dirs).toEqual([path.join(tempDir, 'plugin'), path.join(tempDir, 'plugin-tests')]);
+            expect(watcher.ignoredPaths).toEqual([path.join(tempDir, 'app')]);
+
+            watcher.emit('change', [path.join(tempDir, 'plugin-tests', 'tests.js')]);
+            expect(iterations.map(iteration => iteration.plugins)).toEqual([['./plugin-tests']]);
+
+            // the changes made during an iteration are run together once it is done
+            watcher.emit('change', [path.join(tempDir, 'plugin', 'plugin.xml')]);
+            watcher.emit('change', [path.join(tempDir, 'plugin-tests', 'plugin.xml')]);
+            expect(iterations.length).toBe(1);
+            iterations[0].deferred.resolve(true);
+
+            Q.delay(10).then(() => {
+                expect(iterations.map(iteration => iteration.plugins)).toEqual([['./plugin-tests'], ['./plugin', './plugin-tests']]);
+                expect(runner.printSpecsDiff).toHaveBeenCalled();
+
+                iterations[1].deferred.resolve(false);
+                process.emit('SIGINT');
+                return watching;
+            }).then((isTestPassed) => {
+                expect(watcher.stop).toHaveBeenCalled();
+                expect(isTestPassed).toBe(false);
+            }).then(done, done.fail);
+        });
+
+        it('does not watch anything when none of the plugins is a local folder', (done) => {
+            runner = createRunner({ plugins: ['cordova-plugin-device'] });
+            runner.storedCWD = tempDir;
+            runner.tempFolder = { name: path.join(tempDir, 'app') };
+            spyOn(logger, 'warn');
+
+            runner.watchPlugins({}, true).then((isTestPassed) => {
+                expect(isTestPassed).toBe(true);
+                expect(ParamedicWatcher.prototype.start).not.toHaveBeenCalled();
+                expect(logger.warn).toHaveBeenCalledWith('cordova-paramedic: none of the plugins is a local folder, there is nothing to watch');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('when the results of two runs are compared', () => {
+        it('lists the specs whose status has changed', () => {
+            const runner = createRunner({});
+            spyOn(logger, 'info');
+
+            runner.printSpecsDiff(
+                { 'camera works': 'passed', 'device works': 'failed', 'contacts works': 'passed' },
+                { 'camera works': 'failed', 'device works': 'passed', 'file works': 'passed' }
+            );
+
+            expect(logger.info).toHaveBeenCalledWith('cordova-paramedic: 1 of 3 specs failed, changes since the previous run:\n' +
+                '  now failing: camera works\n  now passing: device works\n  new: file works\n  gone: contacts works');
+        });
+    });
+});